@@ -7,29 +7,92 @@
 //   HELIUS_PARSE_TX_URL=https://api.helius.xyz/v0/transactions?api-key=XXXX
 //   HELIUS_PARSE_ADDR_URL=https://api.helius.xyz/v0/addresses/{address}/transactions?api-key=XXXX
 //   PORT=3000
+//   SOLANA_CLUSTER=mainnet|devnet|localnet (tools also take a per-call `cluster`)
+//   RPC_ENDPOINTS=url,... (mainnet failover list; default HELIUS_RPC_URL) / RPC_ENDPOINTS_DEVNET / RPC_ENDPOINTS_LOCALNET=http://127.0.0.1:8899
+//   RPC_QUORUM=1 (endpoints that must agree on critical reads, e.g. mint authorities)
+//   ENHANCED_API=1 (0 = decode history from getSignaturesForAddress/getTransaction even where Helius is configured)
+//   HELIUS_API_BASE_DEVNET=https://api-devnet.helius.xyz / SOL_USD_REF_POOL_DEVNET / SOL_USD_REF_POOL_LOCALNET
 //   RATE_RPS=12
 //   RATE_CONCURRENCY=1
 //   RPC_TIMEOUT_MS=20000
 //   RPC_MAX_RETRIES=3
+//   BACKGROUND_MAX_QUEUE=20 (alerts / holder snapshots wait while more calls than this are queued; formerly ALERTS_MAX_QUEUE)
+//   ENHANCED_RPS=5 / ENHANCED_CONCURRENCY=2 / DAS_RPS=5 / DAS_CONCURRENCY=2 (separate pools for Helius REST and DAS)
+//   HELIUS_TIMEOUT_MS=30000 / HELIUS_MAX_RETRIES=3 / BACKOFF_BASE_MS=250 / BACKOFF_MAX_MS=10000
+//   BREAKER_THRESHOLD=5 / BREAKER_COOLDOWN_MS=30000 / HEALTH_PROBE_MS=30000
+//   QUOTE_MINTS_EXTRA=mint:SYMBOL:decimals:stable|sol,...   (optional extra quote assets)
+//   SOL_USD_REF_POOL=58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2 (USDC/SOL reference pool)
+//   SOL_USD_TTL_MS=30000
+//   HISTORY_PAGE_SIZE=100 / HISTORY_MAX_PAGES=20 / HISTORY_MAX_TXS=2000 / TOKEN_AGE_MAX_PAGES=50
+//   CACHE_ENABLED=1 / CACHE_PATH=data/cache.mdb / CACHE_ACCOUNT_TTL_S=15 / CACHE_HOLDERS_TTL_S=300 / CACHE_INDEX_MAX=50000
+//   REGISTRY_PATH=data/registries.json
+//   PROFILES_PATH=data/profiles.json
+//   HELIUS_WEBHOOK_SECRET (webhook auth header; enables POST /webhooks/helius + event log) / HELIUS_WEBHOOK_ID (keeps its account list in sync)
+//   EVENTS_PATH=data/events.mdb / EVENTS_RETENTION_DAYS=7
+//   HOLDERS_PATH=data/holders.mdb / HOLDER_SNAPSHOT_INTERVAL_S=3600 (watch_tokens registries; 0 = off) / HOLDER_SNAPSHOT_OWNERS=10000
+//   HOLDER_FRESH_HOURS=24 / HOLDER_FRESH_TOP=20 / FRESH_MAX_PAGES=3
+//   FUNDING_MAX_PAGES=2 (history pages per wallet when tracing SOL funders)
+//   CREATOR_HISTORY_PAGES=5 / CREATOR_MAX_MINTS=10 / CREATOR_LAUNCH_TXS=200 / CREATOR_SIG_PAGES=5 / CREATOR_DEAD_AFTER_DAYS=7
+//   BACKTEST_PATH=data/backtest.mdb / BACKTEST_RECORD=1 (screen.token records pooled screens) / BACKTEST_DEDUP_S=3600 / BACKTEST_TICK_S=300 (0 = no outcome tracking) / BACKTEST_RUG_DROP_PCT=90
+//   ALERTS_PATH=data/alerts.json / ALERTS_TICK_MS=15000 (0 = scheduler off) / ALERTS_MIN_INTERVAL_S=60 / ALERTS_MAX_RULES=20 (per key)
+//   ALERTS_HISTORY_MAX=1000 / ALERTS_WEBHOOK_SECRET (HMAC-SHA256 of the body in x-alert-signature) / ALERTS_WEBHOOK_TIMEOUT_MS=10000
+//   ALERTS_WEBHOOK_ALLOW=host,... (only these hosts, http or https; default: any public https host)
+//   MCP_TRANSPORT=http|stdio (or --stdio) / MCP_API_KEYS=name:token[:calls_per_min[:calls_per_day]],...
+//   RAW_RPC_ALLOW=getAccountInfo,... / RAW_HELIUS_ALLOW=/v0/addresses/,... / SESSION_IDLE_MS=1800000
 // Notes:
-// - This file exposes an MCP server over SSE (/sse) with tools that mirror the full
+// - This file exposes an MCP server over Streamable HTTP (/mcp), legacy SSE (/sse + /messages) or stdio,
+//   one server instance per client session, with tools that mirror the full
 //   Neo Aion LightHouse Filters & Metrics spec (Persian/English engineering mirror X).
 // - Social Hype (off‑chain) is intentionally excluded from on-chain tools.
 
 import express from "express";
 import fetch from "node-fetch";
 import Bottleneck from "bottleneck";
+import { open as openLMDB } from "lmdb";
+import { createHash, createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { statSync, readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from "node:fs";
+import { dirname } from "node:path";
+import { lookup as dnsLookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
+import { Agent as HttpsAgent } from "node:https";
+import { AsyncLocalStorage } from "node:async_hooks";
 import dotenv from "dotenv";
 import { z } from "zod";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 
 dotenv.config();
 
 // ===== Constants
 const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v"; // mainnet USDC
+const USDT_MINT = "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB"; // mainnet USDT
 const TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"; // SPL Token v2
 const TOKEN_2022_PROGRAM = "TokenzQdBNbLqPSEvdnKAS6EPFCLPiNnBhqCxEPcXfwE"; // SPL Token‑2022
+const WSOL_MINT = "So11111111111111111111111111111111111111112"; // wrapped SOL
+const SYSTEM_PROGRAM = "11111111111111111111111111111111";
+// Jito block-engine tip accounts
+const JITO_TIP_ACCOUNTS = new Set([
+  "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5", "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+  "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY", "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+  "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh", "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+  "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL", "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT"
+]);
+// DEX programs (pool resolver)
+const RAYDIUM_AMM_V4 = "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8";
+const RAYDIUM_CPMM = "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C";
+const RAYDIUM_CLMM = "CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK";
+const ORCA_WHIRLPOOL = "whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc";
+const METEORA_DLMM = "LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9t6ZZFMo";
+const PUMPFUN = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+const PUMPFUN_GLOBAL = "4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf";
+// devnet deployments (same account layouts as mainnet)
+const USDC_MINT_DEVNET = "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU"; // Circle devnet USDC
+const RAYDIUM_AMM_V4_DEVNET = "HWy1jotHpo6UqeQxx49dpYYdQB8wj9Qk9MdxwjLvDHB8";
+const RAYDIUM_CPMM_DEVNET = "CPMDWBwJDtYax9qW7AyRuVC19Cc4L4Vcy4n2BHAbHkCW";
+const RAYDIUM_CLMM_DEVNET = "devi51mZmdwUJGU9hjN27vEz64Gps7uUefqxg27EAtH";
 
 // ===== Env
 const PORT = Number(process.env.PORT || 3000);
@@ -38,38 +101,404 @@ const HELIUS_API_BASE = (process.env.HELIUS_API_BASE || "https://api.helius.xyz"
 const HELIUS_RPC_URL = (process.env.HELIUS_RPC_URL || `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY || ""}`).replace(/\/$/, "");
 const HELIUS_PARSE_TX_URL = (process.env.HELIUS_PARSE_TX_URL || `${HELIUS_API_BASE}/v0/transactions?api-key=${HELIUS_API_KEY || ""}`);
 const HELIUS_PARSE_ADDR_URL = (process.env.HELIUS_PARSE_ADDR_URL || `${HELIUS_API_BASE}/v0/addresses/{address}/transactions?api-key=${HELIUS_API_KEY || ""}`);
+const SOLANA_CLUSTER = process.env.SOLANA_CLUSTER || "mainnet";
+const RPC_QUORUM = Number(process.env.RPC_QUORUM || 1);
+const ENHANCED_API = !["0", "false"].includes(String(process.env.ENHANCED_API ?? "1").toLowerCase());
 const RATE_RPS = Number(process.env.RATE_RPS || 12);
 const RATE_CONCURRENCY = Number(process.env.RATE_CONCURRENCY || 1);
 const RPC_TIMEOUT_MS = Number(process.env.RPC_TIMEOUT_MS || 20000);
 const RPC_MAX_RETRIES = Number(process.env.RPC_MAX_RETRIES || 3);
+const ENHANCED_RPS = Number(process.env.ENHANCED_RPS || 5);
+const ENHANCED_CONCURRENCY = Number(process.env.ENHANCED_CONCURRENCY || 2);
+const DAS_RPS = Number(process.env.DAS_RPS || 5);
+const DAS_CONCURRENCY = Number(process.env.DAS_CONCURRENCY || 2);
+const HELIUS_TIMEOUT_MS = Number(process.env.HELIUS_TIMEOUT_MS || 30000);
+const HELIUS_MAX_RETRIES = Number(process.env.HELIUS_MAX_RETRIES || 3);
+const BACKOFF_BASE_MS = Number(process.env.BACKOFF_BASE_MS || 250);
+const BACKOFF_MAX_MS = Number(process.env.BACKOFF_MAX_MS || 10000);
+const BREAKER_THRESHOLD = Number(process.env.BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30000);
+const HEALTH_PROBE_MS = Number(process.env.HEALTH_PROBE_MS || 30000);
+const BACKGROUND_MAX_QUEUE = Number(process.env.BACKGROUND_MAX_QUEUE || process.env.ALERTS_MAX_QUEUE || 20); // ALERTS_MAX_QUEUE = old name
+const QUOTE_MINTS_EXTRA = process.env.QUOTE_MINTS_EXTRA || "";
+const SOL_USD_REF_POOL = process.env.SOL_USD_REF_POOL || "58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2"; // Raydium AMM v4 SOL/USDC
+const SOL_USD_TTL_MS = Number(process.env.SOL_USD_TTL_MS || 30000);
+const HISTORY_PAGE_SIZE = Math.min(100, Number(process.env.HISTORY_PAGE_SIZE || 100)); // Helius max 100
+const HISTORY_MAX_PAGES = Number(process.env.HISTORY_MAX_PAGES || 20);
+const HISTORY_MAX_TXS = Number(process.env.HISTORY_MAX_TXS || 2000);
+const TOKEN_AGE_MAX_PAGES = Number(process.env.TOKEN_AGE_MAX_PAGES || 50);
+const CACHE_ENABLED = !["0", "false"].includes(String(process.env.CACHE_ENABLED ?? "1").toLowerCase());
+const CACHE_PATH = process.env.CACHE_PATH || "data/cache.mdb";
+const CACHE_ACCOUNT_TTL_S = Number(process.env.CACHE_ACCOUNT_TTL_S ?? 15);
+const CACHE_HOLDERS_TTL_S = Number(process.env.CACHE_HOLDERS_TTL_S ?? 300);
+const CACHE_INDEX_MAX = Number(process.env.CACHE_INDEX_MAX || 50000);
+const REGISTRY_PATH = process.env.REGISTRY_PATH || "data/registries.json";
+const PROFILES_PATH = process.env.PROFILES_PATH || "data/profiles.json";
+const HELIUS_WEBHOOK_SECRET = process.env.HELIUS_WEBHOOK_SECRET || "";
+const HELIUS_WEBHOOK_ID = process.env.HELIUS_WEBHOOK_ID || "";
+const EVENTS_PATH = process.env.EVENTS_PATH || "data/events.mdb";
+const EVENTS_RETENTION_DAYS = Number(process.env.EVENTS_RETENTION_DAYS || 7);
+const HOLDERS_PATH = process.env.HOLDERS_PATH || "data/holders.mdb";
+const HOLDER_SNAPSHOT_INTERVAL_S = Number(process.env.HOLDER_SNAPSHOT_INTERVAL_S ?? 3600);
+const HOLDER_SNAPSHOT_OWNERS = Number(process.env.HOLDER_SNAPSHOT_OWNERS || 10000);
+const HOLDER_FRESH_HOURS = Number(process.env.HOLDER_FRESH_HOURS || 24);
+const HOLDER_FRESH_TOP = Number(process.env.HOLDER_FRESH_TOP || 20);
+const FRESH_MAX_PAGES = Number(process.env.FRESH_MAX_PAGES || 3);
+const FUNDING_MAX_PAGES = Number(process.env.FUNDING_MAX_PAGES || 2);
+const CREATOR_HISTORY_PAGES = Number(process.env.CREATOR_HISTORY_PAGES || 5);
+const CREATOR_MAX_MINTS = Number(process.env.CREATOR_MAX_MINTS || 10);
+const CREATOR_LAUNCH_TXS = Number(process.env.CREATOR_LAUNCH_TXS || 200);
+const CREATOR_SIG_PAGES = Number(process.env.CREATOR_SIG_PAGES || 5);
+const CREATOR_DEAD_AFTER_DAYS = Number(process.env.CREATOR_DEAD_AFTER_DAYS || 7);
+const BACKTEST_PATH = process.env.BACKTEST_PATH || "data/backtest.mdb";
+const BACKTEST_RECORD = !["0", "false"].includes(String(process.env.BACKTEST_RECORD ?? "1").toLowerCase());
+const BACKTEST_DEDUP_S = Number(process.env.BACKTEST_DEDUP_S ?? 3600);
+const BACKTEST_TICK_S = Number(process.env.BACKTEST_TICK_S ?? 300);
+const BACKTEST_RUG_DROP_PCT = Number(process.env.BACKTEST_RUG_DROP_PCT || 90);
+const ALERTS_PATH = process.env.ALERTS_PATH || "data/alerts.json";
+const ALERTS_TICK_MS = Number(process.env.ALERTS_TICK_MS ?? 15000);
+const ALERTS_MIN_INTERVAL_S = Number(process.env.ALERTS_MIN_INTERVAL_S || 60);
+const ALERTS_MAX_RULES = Number(process.env.ALERTS_MAX_RULES || 20);
+const ALERTS_HISTORY_MAX = Number(process.env.ALERTS_HISTORY_MAX || 1000);
+const ALERTS_WEBHOOK_SECRET = process.env.ALERTS_WEBHOOK_SECRET || "";
+const ALERTS_WEBHOOK_TIMEOUT_MS = Number(process.env.ALERTS_WEBHOOK_TIMEOUT_MS || 10000);
+const ALERTS_WEBHOOK_ALLOW = (process.env.ALERTS_WEBHOOK_ALLOW || "").split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+const MCP_TRANSPORT = process.argv.includes("--stdio") ? "stdio" : (process.env.MCP_TRANSPORT || "http");
+const MCP_API_KEYS = process.env.MCP_API_KEYS || "";
+const RAW_RPC_ALLOW = new Set((process.env.RAW_RPC_ALLOW || "getAccountInfo,getMultipleAccounts,getBalance,getTokenAccountBalance,getTokenSupply,getTokenLargestAccounts,getTokenAccountsByOwner,getSignaturesForAddress,getTransaction,getSlot,getEpochInfo,getBlockTime,getLatestBlockhash,getHealth").split(",").map(x => x.trim()).filter(Boolean));
+const RAW_HELIUS_ALLOW = (process.env.RAW_HELIUS_ALLOW || "/v0/addresses/,/v0/transactions,/v0/token-metadata").split(",").map(x => x.trim()).filter(Boolean);
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_MS || 30 * 60 * 1000);
 
-// ===== Rate limiter
-const limiter = new Bottleneck({ minTime: Math.ceil(1000 / Math.max(1, RATE_RPS)), maxConcurrent: Math.max(1, RATE_CONCURRENCY) });
+// ===== Metrics (Prometheus text exposition, scraped at /metrics)
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const metricSeries = new Map(); // name -> { type, help, series: Map(labelKey -> { labels, value } | histogram) }
 
-// ===== Helpers
-async function rpc(method, params = []) {
-  const body = { jsonrpc: "2.0", id: 1, method, params };
-  for (let i = 0; i <= RPC_MAX_RETRIES; i++) {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), RPC_TIMEOUT_MS);
+function metricFamily(name, type, help) {
+  let f = metricSeries.get(name);
+  if (!f) metricSeries.set(name, f = { type, help, series: new Map() });
+  return f;
+}
+
+function metricInc(name, help, labels = {}, v = 1) {
+  const f = metricFamily(name, "counter", help); const k = JSON.stringify(labels);
+  const s = f.series.get(k) || { labels, value: 0 }; s.value += v; f.series.set(k, s);
+}
+
+function metricObserve(name, help, labels, seconds) {
+  const f = metricFamily(name, "histogram", help); const k = JSON.stringify(labels);
+  const s = f.series.get(k) || { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  LATENCY_BUCKETS.forEach((b, i) => { if (seconds <= b) s.buckets[i]++; });
+  s.sum += seconds; s.count++; f.series.set(k, s);
+}
+
+const promLabels = (l) => { const e = Object.entries(l); return e.length ? `{${e.map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, "\\$&")}"`).join(",")}}` : ""; };
+
+// gauges: { name: [help, [[labels, value]]] } sampled at scrape time
+function renderMetrics(gauges = {}) {
+  const out = [];
+  for (const [name, f] of metricSeries) {
+    out.push(`# HELP ${name} ${f.help}`, `# TYPE ${name} ${f.type}`);
+    for (const s of f.series.values()) {
+      if (f.type === "counter") { out.push(`${name}${promLabels(s.labels)} ${s.value}`); continue; }
+      LATENCY_BUCKETS.forEach((b, i) => out.push(`${name}_bucket${promLabels({ ...s.labels, le: b })} ${s.buckets[i]}`));
+      out.push(`${name}_bucket${promLabels({ ...s.labels, le: "+Inf" })} ${s.count}`, `${name}_sum${promLabels(s.labels)} ${s.sum}`, `${name}_count${promLabels(s.labels)} ${s.count}`);
+    }
+  }
+  for (const [name, [help, rows]] of Object.entries(gauges)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [labels, v] of rows) out.push(`${name}${promLabels(labels)} ${v}`);
+  }
+  return out.join("\n") + "\n";
+}
+
+// ===== Upstream pools (rate limit, priority, retry with backoff, circuit breaker)
+// rpc: JSON-RPC reads · enhanced: Helius /v0 REST (parsed txs, webhooks) · das: DAS JSON-RPC methods.
+// Bottleneck runs lower priority numbers first: getProgramAccounts scans and background jobs queue behind interactive calls.
+const POOLS = {
+  rpc: { limiter: new Bottleneck({ minTime: Math.ceil(1000 / Math.max(1, RATE_RPS)), maxConcurrent: Math.max(1, RATE_CONCURRENCY) }), timeoutMs: RPC_TIMEOUT_MS, retries: RPC_MAX_RETRIES },
+  enhanced: { limiter: new Bottleneck({ minTime: Math.ceil(1000 / Math.max(1, ENHANCED_RPS)), maxConcurrent: Math.max(1, ENHANCED_CONCURRENCY) }), timeoutMs: HELIUS_TIMEOUT_MS, retries: HELIUS_MAX_RETRIES },
+  das: { limiter: new Bottleneck({ minTime: Math.ceil(1000 / Math.max(1, DAS_RPS)), maxConcurrent: Math.max(1, DAS_CONCURRENCY) }), timeoutMs: RPC_TIMEOUT_MS, retries: RPC_MAX_RETRIES }
+};
+for (const p of Object.values(POOLS)) p.breaker = { failures: 0, open_until: 0, opened: 0 };
+
+const DAS_METHODS = new Set(["getAsset", "getAssetBatch", "getAssetProof", "getAssetProofBatch", "getAssetsByOwner", "getAssetsByCreator", "getAssetsByAuthority", "getAssetsByGroup", "searchAssets", "getTokenAccounts", "getSignaturesForAsset", "getNftEditions"]);
+const PRIORITY = { interactive: 5, heavy: 7, background: 9 };
+const HEAVY_METHODS = new Set(["getProgramAccounts"]);
+
+// Background jobs run inside callContext.run({ background: true }, ...) so their upstream calls queue last
+const callContext = new AsyncLocalStorage();
+const inBackground = (fn) => callContext.run({ background: true }, fn);
+
+// RPC calls trip their endpoint's breaker, not the pool's: the rpc pool reports the default cluster's endpoints
+// ("open" when all are, "partial" when some are; per-endpoint state is in endpointStats)
+function poolStats() {
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(POOLS).map(([name, p]) => {
+    const c = p.limiter.counts();
+    const brs = name === "rpc" ? CLUSTERS[SOLANA_CLUSTER].endpoints.map(ep => ep.breaker) : [p.breaker], open = brs.filter(b => b.open_until > now).length;
+    return [name, { queued: c.QUEUED || 0, running: (c.RUNNING || 0) + (c.EXECUTING || 0), breaker: open === brs.length ? "open" : open ? "partial" : "closed",
+      consecutive_failures: Math.max(...brs.map(b => b.failures)), times_opened: brs.reduce((s, b) => s + b.opened, 0) }];
+  }));
+}
+
+function limiterBacklogged() { return Object.values(POOLS).some(p => (p.limiter.counts().QUEUED || 0) > BACKGROUND_MAX_QUEUE); }
+
+function retryAfterMs(r) {
+  const h = r?.headers?.get?.("retry-after"); if (!h) return null;
+  const s = Number(h); if (Number.isFinite(s)) return s * 1000;
+  const at = Date.parse(h); return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+
+// One JSON request through `pool`: timeout per attempt (covers the body read), retries on network errors,
+// timeouts, 429 and 5xx with exponential backoff + jitter (Retry-After wins when present). After
+// BREAKER_THRESHOLD consecutive failures the pool fails fast for BREAKER_COOLDOWN_MS, then lets a probe through.
+// With an `endpoint` (RPC failover list) the breaker is that endpoint's and each attempt feeds its health score.
+// The timeout and latency start when the limiter runs the attempt: time spent queued is neither.
+async function upstreamJSON(poolName, label, url, init = {}, { priority = null, retries = null, endpoint = null } = {}) {
+  const pool = POOLS[poolName]; const br = (endpoint ?? pool).breaker;
+  const where = endpoint?.name ?? new URL(url).host;
+  if (br.open_until > Date.now()) throw new Error(`${label}: ${endpoint ? where : poolName} circuit open for ${Math.ceil((br.open_until - Date.now()) / 1000)}s`);
+  const prio = priority ?? (callContext.getStore()?.background ? PRIORITY.background : PRIORITY.interactive);
+  const maxRetries = retries ?? pool.retries;
+  for (let i = 0; ; i++) {
+    let ctrl = null, started = null, r = null, body, err = null;
     try {
-      const r = await limiter.schedule(() => fetch(HELIUS_RPC_URL, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body), signal: ctrl.signal }));
-      clearTimeout(t);
-      if (!r.ok) throw new Error(`rpc ${method} http ${r.status}`);
-      const j = await r.json();
-      if (j.error) throw new Error(`rpc ${method} error: ${j.error.message}`);
-      return j.result;
-    } catch (e) {
-      if (i === RPC_MAX_RETRIES) throw e;
-      await new Promise(res => setTimeout(res, 250 * (i + 1)));
+      r = await pool.limiter.schedule({ priority: prio }, async () => {
+        ctrl = new AbortController(); started = Date.now();
+        const timer = setTimeout(() => ctrl.abort(), pool.timeoutMs);
+        try { const res = await fetch(url, { ...init, signal: ctrl.signal }); if (res.ok) body = await res.json(); return res; }
+        finally { clearTimeout(timer); }
+      });
+    } catch (e) { err = ctrl?.signal.aborted ? new Error(`${label} timed out after ${pool.timeoutMs}ms`) : e; }
+    if (started == null) throw err; // never left the limiter (stopped/dropped): not an upstream failure
+    const status = err ? (ctrl.signal.aborted ? "timeout" : "error") : String(r.status);
+    metricInc("nalh_upstream_requests_total", "Upstream HTTP requests", { pool: poolName, endpoint: where, call: label, status });
+    metricObserve("nalh_upstream_duration_seconds", "Upstream request latency", { pool: poolName }, (Date.now() - started) / 1000);
+    if (endpoint) noteEndpoint(endpoint, !err && r.ok, Date.now() - started, err?.message ?? (r.ok ? null : `http ${r.status}`));
+    const retryable = !!err || r.status === 429 || r.status >= 500;
+    if (!retryable) {
+      br.failures = 0;
+      if (!r.ok) throw new Error(`${label} http ${r.status}`);
+      return body;
+    }
+    if (++br.failures >= BREAKER_THRESHOLD) { br.open_until = Date.now() + BREAKER_COOLDOWN_MS; br.opened++; }
+    if (i >= maxRetries || br.open_until > Date.now()) throw err || new Error(`${label} http ${r.status}`);
+    const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** i);
+    metricInc("nalh_upstream_retries_total", "Upstream retries", { pool: poolName, reason: err ? status : r.status === 429 ? "429" : "5xx" });
+    await sleep(retryAfterMs(r) ?? cap / 2 + Math.random() * cap / 2);
+  }
+}
+
+// ===== Clusters (server default SOLANA_CLUSTER, per-call `cluster` tool arg)
+// rpc: failover list, ranked by health · enhanced: Helius REST URLs, null = plain RPC only (history decoded from
+// getSignaturesForAddress + getTransaction). localnet keeps mainnet mints/programs: solana-test-validator is
+// usually started with those accounts --clone'd from mainnet.
+const envList = (name, fallback) => { const v = (process.env[name] || "").split(",").map(x => x.trim()).filter(Boolean); return v.length ? v : fallback; };
+const heliusEnhanced = (base) => ({ base, parse_tx: `${base}/v0/transactions?api-key=${HELIUS_API_KEY || ""}`, parse_addr: `${base}/v0/addresses/{address}/transactions?api-key=${HELIUS_API_KEY || ""}` });
+
+const CLUSTERS = {
+  mainnet: {
+    rpc: envList("RPC_ENDPOINTS", [HELIUS_RPC_URL]),
+    enhanced: { base: HELIUS_API_BASE, parse_tx: HELIUS_PARSE_TX_URL, parse_addr: HELIUS_PARSE_ADDR_URL },
+    usdc: USDC_MINT, usdt: USDT_MINT, sol_usd_ref_pool: SOL_USD_REF_POOL, dex_aliases: {}
+  },
+  devnet: {
+    rpc: envList("RPC_ENDPOINTS_DEVNET", [HELIUS_API_KEY ? `https://devnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}` : "https://api.devnet.solana.com"]),
+    enhanced: HELIUS_API_KEY ? heliusEnhanced((process.env.HELIUS_API_BASE_DEVNET || "https://api-devnet.helius.xyz").replace(/\/$/, "")) : null,
+    usdc: USDC_MINT_DEVNET, usdt: null, sol_usd_ref_pool: process.env.SOL_USD_REF_POOL_DEVNET || null,
+    dex_aliases: { [RAYDIUM_AMM_V4_DEVNET]: RAYDIUM_AMM_V4, [RAYDIUM_CPMM_DEVNET]: RAYDIUM_CPMM, [RAYDIUM_CLMM_DEVNET]: RAYDIUM_CLMM }
+  },
+  localnet: {
+    rpc: envList("RPC_ENDPOINTS_LOCALNET", ["http://127.0.0.1:8899"]),
+    enhanced: null,
+    usdc: USDC_MINT, usdt: USDT_MINT, sol_usd_ref_pool: process.env.SOL_USD_REF_POOL_LOCALNET || SOL_USD_REF_POOL, dex_aliases: {}
+  }
+};
+const CLUSTER_NAMES = Object.keys(CLUSTERS);
+if (!CLUSTERS[SOLANA_CLUSTER]) throw new Error(`SOLANA_CLUSTER must be one of ${CLUSTER_NAMES.join(", ")}`);
+for (const c of Object.values(CLUSTERS)) {
+  if (!ENHANCED_API) c.enhanced = null;
+  // name = host only (URLs may carry api keys); index breaks score ties in configured order
+  c.endpoints = c.rpc.map((url, index, all) => {
+    const host = new URL(url).host;
+    return { url, index, name: all.filter(u => new URL(u).host === host).length > 1 ? `${host}#${index}` : host,
+      breaker: { failures: 0, open_until: 0, opened: 0 }, ok_rate: 1, latency_ms: null, calls: 0, errors: 0, last_error: null };
+  });
+}
+
+const currentCluster = () => callContext.getStore()?.cluster ?? SOLANA_CLUSTER;
+const clusterConf = () => CLUSTERS[currentCluster()];
+function withCluster(cluster, fn) {
+  if (!cluster || cluster === currentCluster()) return fn();
+  if (!CLUSTERS[cluster]) throw new Error(`unknown cluster ${cluster}`);
+  return callContext.run({ ...callContext.getStore(), cluster }, fn);
+}
+
+// Fetch errors quote the URL; keep api keys out of /health
+const redactKeys = (msg) => msg == null ? msg : String(msg).replace(/(api-key=)[^&\s"]+/gi, "$1***");
+
+// Health: EWMA of attempt success and latency; an open breaker ranks last. Rounded so near-equal endpoints keep config order.
+function noteEndpoint(ep, ok, ms, error = null) {
+  ep.calls++; ep.ok_rate = ep.ok_rate * 0.8 + (ok ? 0.2 : 0);
+  if (ok) ep.latency_ms = ep.latency_ms == null ? ms : Math.round(ep.latency_ms * 0.8 + ms * 0.2);
+  else { ep.errors++; ep.last_error = redactKeys(error); }
+}
+const endpointScore = (ep) => ep.breaker.open_until > Date.now() ? 0 : Math.round(10 * ep.ok_rate / (1 + (ep.latency_ms ?? 0) / 1000)) / 10;
+const rankedEndpoints = (cluster = currentCluster()) => [...CLUSTERS[cluster].endpoints].sort((a, b) => endpointScore(b) - endpointScore(a) || a.index - b.index);
+
+function endpointStats() {
+  return Object.fromEntries(CLUSTER_NAMES.map(c => [c, {
+    enhanced: !!CLUSTERS[c].enhanced,
+    rpc: rankedEndpoints(c).map(ep => ({ name: ep.name, score: endpointScore(ep), ok_rate: Math.round(ep.ok_rate * 100) / 100, latency_ms: ep.latency_ms, calls: ep.calls, errors: ep.errors, breaker: ep.breaker.open_until > Date.now() ? "open" : "closed", last_error: ep.last_error }))
+  }]));
+}
+
+// ===== Cache (LMDB)
+// tx: parsed txs by signature (immutable, kept forever) · rpc: read snapshots with TTL · hist: per-address signature index
+// Other clusters get their own databases ("rpc@devnet"), and so do txs decoded from plain RPC ("tx+raw"):
+// they lack Helius' classification and must not be served where the enhanced API is available.
+const CACHE_DBS = CLUSTER_NAMES.flatMap(c => { const at = c === "mainnet" ? "" : `@${c}`; return [`tx${at}`, `rpc${at}`, `hist${at}`, `tx${at}+raw`, `hist${at}+raw`]; });
+const cacheRoot = CACHE_ENABLED ? openLMDB({ path: CACHE_PATH, maxDbs: CACHE_DBS.length + 1 }) : null;
+const cacheDb = cacheRoot ? Object.fromEntries(CACHE_DBS.map(name => [name, cacheRoot.openDB(name)])) : null;
+const cacheCounters = { tx: { hits: 0, misses: 0 }, rpc: { hits: 0, misses: 0 }, hist: { hits: 0, misses: 0 } };
+
+// Stores the cache doesn't cover (holder snapshots, backtest) open on first use, so a process that never records
+// doesn't create or lock their files. -> ({ ifExists }) => { root, [name]: db }; readers pass ifExists and get
+// null while nothing has been written yet.
+function lazyLMDB(path, names) {
+  let dbs = null;
+  return ({ ifExists = false } = {}) => {
+    if (!dbs && (!ifExists || existsSync(path))) { const root = openLMDB({ path }); dbs = { root, ...Object.fromEntries(names.map(n => [n, root.openDB(n)])) }; }
+    return dbs;
+  };
+}
+
+function cacheScope(ns) {
+  const c = currentCluster();
+  const name = `${ns}${c === "mainnet" ? "" : `@${c}`}${ns !== "rpc" && !clusterConf().enhanced ? "+raw" : ""}`;
+  return cacheDb[name];
+}
+const cacheDbsOf = (ns) => Object.entries(cacheDb).filter(([name]) => name.split(/[@+]/)[0] === ns);
+
+function cacheGet(ns, key) {
+  if (!cacheDb) return undefined;
+  const e = cacheScope(ns).get(key);
+  const hit = e !== undefined && !(e.exp && e.exp < Date.now());
+  cacheCounters[ns][hit ? "hits" : "misses"]++;
+  metricInc("nalh_cache_lookups_total", "Local cache lookups", { ns, result: hit ? "hit" : "miss" });
+  return hit ? e.v : undefined;
+}
+
+function cachePut(ns, key, value, ttlS = Infinity) {
+  if (!cacheDb || value == null) return;
+  cacheScope(ns).put(key, { v: value, exp: Number.isFinite(ttlS) ? Date.now() + ttlS * 1000 : 0 });
+}
+
+// Seconds to keep an rpc result (Infinity = immutable); falsy = don't cache
+function rpcCacheTtl(method, params) {
+  switch (method) {
+    case "getProgramAccounts": return CACHE_HOLDERS_TTL_S;
+    case "getAccountInfo": case "getMultipleAccounts": case "getTokenAccountBalance": case "getTokenSupply":
+    case "getTokenAccountsByOwner": case "getTokenLargestAccounts": return CACHE_ACCOUNT_TTL_S;
+    case "getTransaction": return Infinity;
+    case "getSignaturesForAddress": return params?.[1]?.before ? Infinity : 0; // pages behind a cursor never change
+    default: return 0;
+  }
+}
+
+function cacheStats() {
+  if (!cacheDb) return { enabled: false };
+  let size_bytes = null; try { size_bytes = statSync(CACHE_PATH).size; } catch {}
+  return {
+    enabled: true, path: CACHE_PATH, size_bytes,
+    entries: Object.fromEntries(Object.entries(cacheDb).map(([name, db]) => [name, db.getCount()]).filter(([name, n]) => n || !/[@+]/.test(name))),
+    counters: cacheCounters,
+    ttl_s: { account: CACHE_ACCOUNT_TTL_S, holders: CACHE_HOLDERS_TTL_S }
+  };
+}
+
+async function cachePurge(scope = "expired", address = null) {
+  if (!cacheDb) return { enabled: false };
+  if (address) { await cacheScope("hist").remove(address); return { purged: { hist: 1 }, address, cluster: currentCluster() }; }
+  const purged = {};
+  if (scope === "expired") {
+    const now = Date.now(); let n = 0;
+    for (const [, db] of cacheDbsOf("rpc")) {
+      for (const { key, value } of db.getRange()) if (value?.exp && value.exp < now) { db.remove(key); n++; }
+      await db.flushed;
     }
+    purged.rpc = n;
+  } else {
+    for (const ns of scope === "all" ? ["tx", "rpc", "hist"] : [scope === "history" ? "hist" : scope]) {
+      for (const [name, db] of cacheDbsOf(ns)) { purged[name] = db.getCount(); await db.clearAsync(); }
+    }
+  }
+  return { purged, scope };
+}
+
+// ===== Helpers
+// JSON-RPC errors that mean "this node can't serve it" (method not offered, node behind, history pruned): try the next endpoint
+const ENDPOINT_RPC_ERRORS = new Set([-32601, -32005, -32004, -32011]);
+
+// quorum: critical reads (mint authorities) must match on RPC_QUORUM endpoints; uncached
+async function rpc(method, params = [], { quorum = false } = {}) {
+  quorum = quorum && RPC_QUORUM > 1; // a quorum read must not be answered from a single endpoint's cached snapshot
+  const ttl = quorum ? 0 : rpcCacheTtl(method, params);
+  const key = ttl ? createHash("sha1").update(`${method}:${JSON.stringify(params)}`).digest("hex") : null;
+  if (key) { const hit = cacheGet("rpc", key); if (hit !== undefined) return hit; }
+  const body = { jsonrpc: "2.0", id: 1, method, params };
+  const call = { pool: DAS_METHODS.has(method) ? "das" : "rpc", label: `rpc ${method}`, init: { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) },
+    priority: HEAVY_METHODS.has(method) && !callContext.getStore()?.background ? PRIORITY.heavy : null };
+  const result = quorum ? await rpcQuorum(call) : await rpcFailover(call);
+  if (key) cachePut("rpc", key, result, ttl);
+  return result;
+}
+
+// Endpoints in health order; only the last one gets the pool's retries, earlier ones fail over on the first error
+async function rpcFailover({ pool, label, init, priority }) {
+  const eps = rankedEndpoints(); let lastErr;
+  for (const [i, ep] of eps.entries()) {
+    const more = i < eps.length - 1;
+    let j; try { j = await upstreamJSON(pool, label, ep.url, init, { priority, endpoint: ep, retries: more ? 0 : null }); }
+    catch (e) { lastErr = e; continue; }
+    if (j.error && more && ENDPOINT_RPC_ERRORS.has(j.error.code)) { lastErr = new Error(`${label} error: ${j.error.message}`); continue; }
+    if (j.error) throw new Error(`${label} error: ${j.error.message}`);
+    if (i > 0) metricInc("nalh_rpc_failovers_total", "RPC calls answered by a lower-ranked endpoint", { cluster: currentCluster(), endpoint: ep.name });
+    return j.result;
   }
+  throw lastErr;
+}
+
+// Ask the top RPC_QUORUM endpoints at once, then the rest one by one until one answer (context slot ignored) has RPC_QUORUM votes
+async function rpcQuorum({ pool, label, init, priority }) {
+  const eps = rankedEndpoints(); const need = Math.min(RPC_QUORUM, eps.length);
+  const votes = new Map(), errors = [];
+  const ask = async (ep) => {
+    try {
+      const j = await upstreamJSON(pool, label, ep.url, init, { priority, endpoint: ep, retries: 0 });
+      if (j.error) throw new Error(j.error.message);
+      const k = JSON.stringify(j.result?.context ? j.result.value : j.result);
+      const v = votes.get(k) || { result: j.result, from: [] }; v.from.push(ep.name); votes.set(k, v);
+    } catch (e) { errors.push(`${ep.name}: ${e.message}`); }
+  };
+  await Promise.all(eps.slice(0, need).map(ask));
+  const best = () => [...votes.values()].sort((a, b) => b.from.length - a.from.length)[0];
+  const outcome = votes.size > 1 ? "disagreed" : "agreed";
+  for (let next = need; (best()?.from.length ?? 0) < need && next < eps.length; next++) await ask(eps[next]);
+  const win = best();
+  metricInc("nalh_rpc_quorum_total", "Quorum reads by outcome", { cluster: currentCluster(), outcome: win?.from.length >= need ? outcome : "failed" });
+  if (!win || win.from.length < need) throw new Error(`${label}: no quorum (${need} of ${eps.length} endpoints must agree; ${votes.size} distinct answers${errors.length ? `; ${errors.join("; ")}` : ""})`);
+  return win.result;
 }
 
 async function heliusGET(url) {
-  const r = await limiter.schedule(() => fetch(url));
-  if (!r.ok) throw new Error(`helius http ${r.status}`);
-  return r.json();
+  return upstreamJSON("enhanced", "helius", url);
+}
+
+async function heliusPOST(url, body) {
+  return upstreamJSON("enhanced", "helius", url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
 }
 
 function assertPubkey(x) { if (!x || typeof x !== "string" || x.length < 32) throw new Error("invalid pubkey/mint"); }
@@ -78,12 +507,48 @@ function toBN(x) { return BigInt(String(x)); }
 function pow10(d) { return BigInt(10) ** BigInt(d); }
 function uiFromRaw(amountBN, dec) { return Number(amountBN) / 10 ** dec; }
 
+// Base58 (instruction data in Helius parsed tx, pubkeys in raw account layouts)
+const B58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+function b58decode(s) {
+  let n = 0n;
+  for (const c of s) { const i = B58_ALPHABET.indexOf(c); if (i < 0) throw new Error("invalid base58"); n = n * 58n + BigInt(i); }
+  const out = [];
+  while (n > 0n) { out.unshift(Number(n & 0xffn)); n >>= 8n; }
+  for (const c of s) { if (c !== "1") break; out.unshift(0); }
+  return Uint8Array.from(out);
+}
+function b58encode(bytes) {
+  let n = 0n; for (const b of bytes) n = (n << 8n) | BigInt(b);
+  let s = ""; while (n > 0n) { s = B58_ALPHABET[Number(n % 58n)] + s; n /= 58n; }
+  for (const b of bytes) { if (b !== 0) break; s = "1" + s; }
+  return s;
+}
+function readU64LE(bytes, off) { let v = 0n; for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(bytes[off + i] ?? 0); return v; }
+
 // ===== Low-level primitives
 async function getAccountInfoParsed(pubkey) {
   const r = await rpc("getAccountInfo", [pubkey, { encoding: "jsonParsed" }]);
   return r?.value?.data?.parsed?.info || null;
 }
 
+// Mint account (SPL Token or Token-2022) with extensions keyed by name
+async function getMintAccount(mint) {
+  assertPubkey(mint);
+  const r = await rpc("getAccountInfo", [mint, { encoding: "jsonParsed" }], { quorum: true });
+  const v = r?.value; if (!v) throw new Error("mint account not found");
+  if (v.owner !== TOKEN_PROGRAM && v.owner !== TOKEN_2022_PROGRAM) throw new Error(`not a token mint (owner ${v.owner})`);
+  const info = v.data?.parsed?.info || {};
+  const extensions = Object.fromEntries((info.extensions || []).map(x => [x.extension, x.state ?? {}]));
+  return { program: v.owner, info, extensions };
+}
+
+async function getAccountRaw(pubkey) {
+  assertPubkey(pubkey);
+  const r = await rpc("getAccountInfo", [pubkey, { encoding: "base64" }]);
+  const v = r?.value; if (!v) throw new Error(`account not found: ${pubkey}`);
+  return { owner: v.owner, lamports: v.lamports, data: Buffer.from(v.data[0], "base64") };
+}
+
 async function getMintSupply(mint) {
   assertPubkey(mint);
   const r = await rpc("getTokenSupply", [mint]);
@@ -101,36 +566,695 @@ async function getProgramAccountsByMint(mint, programId) {
   return Array.isArray(r) ? r : [];
 }
 
+// ====== QUOTE ASSETS (registry + SOL/USD reference)
+// kind "stable" = 1 USD, kind "sol" = priced from the SOL/USD reference pool
+function parseQuoteMints(spec) {
+  const out = {};
+  for (const item of spec.split(",").map(x => x.trim()).filter(Boolean)) {
+    const [mint, symbol, decimals, kind = "stable"] = item.split(":");
+    if (!mint || !symbol || !["stable", "sol"].includes(kind)) throw new Error(`invalid QUOTE_MINTS_EXTRA entry: ${item}`);
+    out[mint] = { symbol, decimals: Number(decimals || 6), kind };
+  }
+  return out;
+}
+
+// Every cluster's stables (mints never collide across clusters)
+const QUOTE_ASSETS = {
+  ...Object.fromEntries(Object.values(CLUSTERS).flatMap(c => [[c.usdc, { symbol: "USDC", decimals: 6, kind: "stable" }], [c.usdt, { symbol: "USDT", decimals: 6, kind: "stable" }]]).filter(([m]) => m)),
+  [WSOL_MINT]: { symbol: "SOL", decimals: 9, kind: "sol" },
+  ...parseQuoteMints(QUOTE_MINTS_EXTRA)
+};
+
+// Lower rank wins the quote side: stables, then SOL, unknown mints never
+function quoteRank(mint) { const q = QUOTE_ASSETS[mint]; return !q ? Infinity : q.kind === "stable" ? 0 : 1; }
+function quoteSymbol(mint) { return QUOTE_ASSETS[mint]?.symbol ?? null; }
+
+const solUsdCache = new Map(); // cluster -> { at, price }
+async function solUsd() {
+  const c = currentCluster(), hit = solUsdCache.get(c);
+  if (hit && Date.now() - hit.at < SOL_USD_TTL_MS) return hit.price;
+  const ref = clusterConf().sol_usd_ref_pool;
+  if (!ref) throw new Error(`no SOL/USD reference pool on ${c}: set SOL_USD_REF_POOL_${c.toUpperCase()}`);
+  const p = await resolvePool(ref);
+  if (p.base_mint !== WSOL_MINT || QUOTE_ASSETS[p.quote_mint]?.kind !== "stable") throw new Error(`SOL/USD reference pool ${ref} is not a SOL/stable pool`);
+  solUsdCache.set(c, { at: Date.now(), price: p.price_in_quote });
+  return p.price_in_quote;
+}
+
+async function quoteUsd(mint) {
+  const q = QUOTE_ASSETS[mint];
+  if (!q) return null;
+  return q.kind === "stable" ? 1 : solUsd();
+}
+
+// Native per-quote volumes (keyed by mint) -> { by_quote: {SYMBOL: amount}, usd }
+async function normalizeVolumes(byMint) {
+  const by_quote = {}; let usd = 0;
+  for (const [mint, v] of Object.entries(byMint)) {
+    by_quote[quoteSymbol(mint)] = v;
+    const px = await quoteUsd(mint); if (px != null) usd += v * px;
+  }
+  return { by_quote, usd };
+}
+
+// Quote-asset legs of one parsed tx; native SOL moving in/out of `addr` counts as SOL (pump.fun style curves)
+function quoteLegs(it, addr) {
+  const legs = [];
+  for (const t of (it.tokenTransfers || [])) if (QUOTE_ASSETS[t.mint]) legs.push([t.mint, Math.abs(Number(t.tokenAmount || 0))]);
+  for (const n of (it.nativeTransfers || [])) if (n.fromUserAccount === addr || n.toUserAccount === addr) legs.push([WSOL_MINT, Math.abs(Number(n.amount || 0)) / 1e9]);
+  return legs;
+}
+
+// ====== POOL RESOLVER (decode vaults / LP mint / fee / quote side by account layout)
+const pkAt = (buf, off) => b58encode(buf.subarray(off, off + 32));
+const u128At = (buf, off) => buf.readBigUInt64LE(off) | (buf.readBigUInt64LE(off + 8) << 64n);
+// price of A in B (ui units) from a Q64.64 sqrt price
+const sqrtX64ToPrice = (sqrtX64, decA, decB) => { const s = Number(sqrtX64) / 2 ** 64; return s * s * 10 ** (decA - decB); };
+
+// Each adapter returns side A/B mints + vaults; optional decimals, reserves, pending fees and a priceAB(decA, decB).
+// quoteSide is the layout's quote leg (AMM pc side, token1/B/Y otherwise), used when the quote registry can't tell.
+const DEX_ADAPTERS = {
+  [RAYDIUM_AMM_V4]: async (b) => ({
+    dex: "raydium_amm_v4", mintA: pkAt(b, 400), mintB: pkAt(b, 432), vaultA: pkAt(b, 336), vaultB: pkAt(b, 368), lpMint: pkAt(b, 464),
+    feeBps: Number(b.readBigUInt64LE(176)) / Number(b.readBigUInt64LE(184)) * 1e4,
+    decA: Number(b.readBigUInt64LE(32)), decB: Number(b.readBigUInt64LE(40)),
+    pendingA: b.readBigUInt64LE(192), pendingB: b.readBigUInt64LE(200), quoteSide: "B", priceSource: "vault_ratio"
+  }),
+  [RAYDIUM_CPMM]: async (b) => {
+    const cfg = await getAccountRaw(pkAt(b, 8));
+    return {
+      dex: "raydium_cpmm", mintA: pkAt(b, 168), mintB: pkAt(b, 200), vaultA: pkAt(b, 72), vaultB: pkAt(b, 104), lpMint: pkAt(b, 136),
+      feeBps: Number(cfg.data.readBigUInt64LE(12)) / 100, decA: b[331], decB: b[332],
+      pendingA: b.readBigUInt64LE(341) + b.readBigUInt64LE(357), pendingB: b.readBigUInt64LE(349) + b.readBigUInt64LE(365),
+      quoteSide: "B", priceSource: "vault_ratio"
+    };
+  },
+  [RAYDIUM_CLMM]: async (b) => {
+    const cfg = await getAccountRaw(pkAt(b, 9)); const sqrt = u128At(b, 253);
+    return {
+      dex: "raydium_clmm", mintA: pkAt(b, 73), mintB: pkAt(b, 105), vaultA: pkAt(b, 137), vaultB: pkAt(b, 169), lpMint: null,
+      feeBps: cfg.data.readUInt32LE(47) / 100, decA: b[233], decB: b[234],
+      priceAB: (da, db) => sqrtX64ToPrice(sqrt, da, db), quoteSide: "B", priceSource: "sqrt_price",
+      extra: { liquidity: String(u128At(b, 237)), tick_current: b.readInt32LE(269) }
+    };
+  },
+  [ORCA_WHIRLPOOL]: async (b) => {
+    const sqrt = u128At(b, 65);
+    return {
+      dex: "orca_whirlpool", mintA: pkAt(b, 101), mintB: pkAt(b, 181), vaultA: pkAt(b, 133), vaultB: pkAt(b, 213), lpMint: null,
+      feeBps: b.readUInt16LE(45) / 100, pendingA: b.readBigUInt64LE(85), pendingB: b.readBigUInt64LE(93),
+      priceAB: (da, db) => sqrtX64ToPrice(sqrt, da, db), quoteSide: "B", priceSource: "sqrt_price",
+      extra: { liquidity: String(u128At(b, 49)), tick_current: b.readInt32LE(81), tick_spacing: b.readUInt16LE(41) }
+    };
+  },
+  [METEORA_DLMM]: async (b) => {
+    const activeId = b.readInt32LE(76), binStep = b.readUInt16LE(80);
+    const baseFeeRate = b.readUInt16LE(8) * binStep * 10 * 10 ** b[34]; // 1e9 precision
+    return {
+      dex: "meteora_dlmm", mintA: pkAt(b, 88), mintB: pkAt(b, 120), vaultA: pkAt(b, 152), vaultB: pkAt(b, 184), lpMint: null,
+      feeBps: baseFeeRate / 1e5, priceAB: (da, db) => (1 + binStep / 1e4) ** activeId * 10 ** (da - db),
+      quoteSide: "B", priceSource: "active_bin", extra: { active_bin_id: activeId, bin_step: binStep }
+    };
+  },
+  // Curve account doesn't store the mint: its only token account (curve ATA) does. SOL sits on the curve itself.
+  [PUMPFUN]: async (b, pool) => {
+    const [v1, v2, global] = await Promise.all([
+      rpc("getTokenAccountsByOwner", [pool, { programId: TOKEN_PROGRAM }, { encoding: "jsonParsed" }]),
+      rpc("getTokenAccountsByOwner", [pool, { programId: TOKEN_2022_PROGRAM }, { encoding: "jsonParsed" }]),
+      getAccountRaw(PUMPFUN_GLOBAL)
+    ]);
+    const ata = [...(v1?.value || []), ...(v2?.value || [])][0];
+    const info = ata?.account?.data?.parsed?.info; if (!info) throw new Error("bonding curve token account not found");
+    const vTok = b.readBigUInt64LE(8), vSol = b.readBigUInt64LE(16);
+    return {
+      dex: "pumpfun_bonding_curve", mintA: info.mint, mintB: WSOL_MINT, vaultA: ata.pubkey, vaultB: pool, lpMint: null,
+      feeBps: Number(global.data.readBigUInt64LE(105)), decA: info.tokenAmount.decimals, decB: 9,
+      reserveA: b.readBigUInt64LE(24), reserveB: b.readBigUInt64LE(32),
+      priceAB: (da, db) => uiFromRaw(vSol, db) / uiFromRaw(vTok, da), quoteSide: "B", priceSource: "bonding_curve",
+      extra: { complete: b[48] === 1, virtual_token_reserves: String(vTok), virtual_sol_reserves: String(vSol) }
+    };
+  }
+};
+
+// Program id as keyed in DEX_ADAPTERS (devnet deployments map to their mainnet twin)
+const dexProgram = (program) => clusterConf().dex_aliases[program] ?? program;
+
+async function resolvePool(pool) {
+  const acct = await getAccountRaw(pool);
+  const adapter = DEX_ADAPTERS[dexProgram(acct.owner)];
+  if (!adapter) throw new Error(`unsupported pool program ${acct.owner}`);
+  const p = await adapter(acct.data, pool);
+  let { decA, decB, reserveA: rawA, reserveB: rawB } = p;
+  if (rawA === undefined) {
+    const [ba, bb] = await Promise.all([getTokenAccountBalance(p.vaultA), getTokenAccountBalance(p.vaultB)]);
+    const net = (bal, pending = 0n) => bal > pending ? bal - pending : 0n;
+    rawA = net(ba.amount, p.pendingA); rawB = net(bb.amount, p.pendingB); decA ??= ba.decimals; decB ??= bb.decimals;
+  }
+  const uiA = uiFromRaw(rawA, decA), uiB = uiFromRaw(rawB, decB);
+  const priceAB = p.priceAB ? p.priceAB(decA, decB) : (uiA > 0 ? uiB / uiA : 0);
+  const ra = quoteRank(p.mintA), rb = quoteRank(p.mintB);
+  const quoteIsA = ra < rb || (ra === rb && p.quoteSide === "A");
+  const side = quoteIsA
+    ? { base_mint: p.mintB, quote_mint: p.mintA, base_vault: p.vaultB, quote_vault: p.vaultA, base_decimals: decB, quote_decimals: decA, base_reserve: uiB, quote_reserve: uiA, price_in_quote: priceAB ? 1 / priceAB : 0 }
+    : { base_mint: p.mintA, quote_mint: p.mintB, base_vault: p.vaultA, quote_vault: p.vaultB, base_decimals: decA, quote_decimals: decB, base_reserve: uiA, quote_reserve: uiB, price_in_quote: priceAB };
+  return { pool, dex: p.dex, program: acct.owner, ...side, quote_symbol: quoteSymbol(side.quote_mint), lp_mint: p.lpMint, fee_bps: p.feeBps, price_source: p.priceSource, ...(p.extra || {}) };
+}
+
+// ====== HISTORY (Helius parsed tx history, newest -> oldest, walked by `before` cursor)
+// Clusters without the enhanced API get the same shape decoded from getTransaction (decodeRawTx): no type/source/events.
+function txTime(it) { return it.timestamp ?? it.blockTime ?? 0; }
+
+// Helius-shaped tx from a getTransaction ("json" encoding): instructions with inner CPIs, per-account native/token
+// balance changes, System transfers and SPL Transfer/TransferChecked. `type` comes from known DEX instructions
+// (rawTxType); source and events.swap stay UNKNOWN/empty (swaps still decode from balance changes).
+function decodeRawTx(signature, tx) {
+  const m = tx.transaction.message, meta = tx.meta || {};
+  const keys = [...m.accountKeys, ...(meta.loadedAddresses?.writable || []), ...(meta.loadedAddresses?.readonly || [])];
+  const ix = (x) => ({ programId: keys[x.programIdIndex], accounts: (x.accounts || []).map(i => keys[i]), data: x.data });
+  const inner = new Map((meta.innerInstructions || []).map(x => [x.index, x.instructions.map(ix)]));
+  const instructions = m.instructions.map((x, i) => ({ ...ix(x), innerInstructions: inner.get(i) || [] }));
+  const tokenAccts = new Map(); // token account -> { mint, owner, decimals, pre, post }
+  for (const [side, arr] of [["pre", meta.preTokenBalances], ["post", meta.postTokenBalances]]) for (const b of arr || []) {
+    const e = tokenAccts.get(keys[b.accountIndex]) || { mint: b.mint, owner: b.owner ?? null, decimals: b.uiTokenAmount.decimals, pre: 0n, post: 0n };
+    e[side] = BigInt(b.uiTokenAmount.amount); tokenAccts.set(keys[b.accountIndex], e);
+  }
+  const accountData = keys.map((account, i) => {
+    const b = tokenAccts.get(account), d = b ? b.post - b.pre : 0n;
+    return { account, nativeBalanceChange: (meta.postBalances?.[i] ?? 0) - (meta.preBalances?.[i] ?? 0),
+      tokenBalanceChanges: d ? [{ userAccount: b.owner, tokenAccount: account, mint: b.mint, rawTokenAmount: { tokenAmount: String(d), decimals: b.decimals } }] : [] };
+  });
+  const nativeTransfers = [], tokenTransfers = [];
+  for (const x of instructions.flatMap(x => [x, ...x.innerInstructions])) {
+    let d; try { d = b58decode(x.data || ""); } catch { continue; }
+    if (x.programId === SYSTEM_PROGRAM && d.length >= 12 && (d[0] === 0 || d[0] === 2) && !d[1] && !d[2] && !d[3]) // CreateAccount / Transfer
+      nativeTransfers.push({ fromUserAccount: x.accounts[0], toUserAccount: x.accounts[1], amount: Number(readU64LE(d, 4)) });
+    if ((x.programId === TOKEN_PROGRAM || x.programId === TOKEN_2022_PROGRAM) && (d[0] === 3 || d[0] === 12)) {
+      const checked = d[0] === 12, [src, dst] = checked ? [x.accounts[0], x.accounts[2]] : [x.accounts[0], x.accounts[1]];
+      const a = tokenAccts.get(src), b = tokenAccts.get(dst), mint = checked ? x.accounts[1] : (a ?? b)?.mint;
+      if (!mint) continue;
+      tokenTransfers.push({ fromTokenAccount: src, toTokenAccount: dst, fromUserAccount: a?.owner ?? null, toUserAccount: b?.owner ?? null, mint,
+        tokenAmount: uiFromRaw(readU64LE(d, 1), checked ? d[9] : (a ?? b).decimals) });
+    }
+  }
+  return { signature, slot: tx.slot, timestamp: tx.blockTime ?? null, fee: meta.fee ?? 0, feePayer: keys[0], type: rawTxType(instructions), source: "UNKNOWN",
+    transactionError: meta.err ?? null, instructions, accountData, nativeTransfers, tokenTransfers, events: {}, decoded_from: "rpc" };
+}
+
+// Helius types for the DEX instructions a raw tx runs (outer or CPI), enough for the swap and LP-withdrawal checks.
+// Anchor programs match the 8-byte sha256("global:<name>") prefix, Raydium AMM v4 its 1-byte instruction tag.
+const anchorTag = (name) => Buffer.from(createHash("sha256").update(`global:${name}`).digest().subarray(0, 8)).toString("hex");
+const anchorTypes = (spec) => new Map(Object.entries(spec).flatMap(([type, names]) => names.map(n => [anchorTag(n), type])));
+const RAW_TX_TYPES = {
+  [RAYDIUM_AMM_V4]: { tag: { 9: "SWAP", 11: "SWAP", 16: "SWAP", 17: "SWAP", 4: "WITHDRAW_LIQUIDITY" } },
+  [RAYDIUM_CPMM]: { anchor: anchorTypes({ SWAP: ["swap_base_input", "swap_base_output"], WITHDRAW_LIQUIDITY: ["withdraw"] }) },
+  [RAYDIUM_CLMM]: { anchor: anchorTypes({ SWAP: ["swap", "swap_v2"], WITHDRAW_LIQUIDITY: ["decrease_liquidity", "decrease_liquidity_v2"] }) },
+  [ORCA_WHIRLPOOL]: { anchor: anchorTypes({ SWAP: ["swap", "swap_v2", "two_hop_swap", "two_hop_swap_v2"], WITHDRAW_LIQUIDITY: ["decrease_liquidity", "decrease_liquidity_v2"] }) },
+  [METEORA_DLMM]: { anchor: anchorTypes({ SWAP: ["swap", "swap2", "swap_exact_out", "swap_exact_out2", "swap_with_price_impact", "swap_with_price_impact2"], WITHDRAW_LIQUIDITY: ["remove_liquidity", "remove_liquidity2", "remove_liquidity_by_range", "remove_liquidity_by_range2", "remove_all_liquidity"] }) },
+  [PUMPFUN]: { anchor: anchorTypes({ SWAP: ["buy", "sell"] }) }
+};
+
+// An LP withdrawal outranks the swaps around it (zaps, rug-and-dump bundles)
+function rawTxType(instructions) {
+  let type = "UNKNOWN";
+  for (const ix of instructions.flatMap(x => [x, ...x.innerInstructions])) {
+    const t = RAW_TX_TYPES[dexProgram(ix.programId)]; if (!t) continue;
+    let d; try { d = b58decode(ix.data || ""); } catch { continue; }
+    const hit = t.tag ? t.tag[d[0]] : t.anchor.get(Buffer.from(d.subarray(0, 8)).toString("hex"));
+    if (hit === "WITHDRAW_LIQUIDITY") return hit;
+    if (hit) type = hit;
+  }
+  return type;
+}
+
+// One page of an address's history, newest first, before `before`: Helius parsed txs, or signatures + decoded getTransaction
+async function historyPage(address, before) {
+  const enhanced = clusterConf().enhanced;
+  if (!enhanced) {
+    const sigs = await rpc("getSignaturesForAddress", [address, { limit: HISTORY_PAGE_SIZE, ...(before ? { before } : {}) }]);
+    const list = Array.isArray(sigs) ? sigs : [];
+    return { txs: await parsedTransactions(list.map(x => x.signature)), size: list.length, cursor: list[list.length - 1]?.signature ?? null };
+  }
+  const url = new URL(enhanced.parse_addr.replace("{address}", address));
+  url.searchParams.set("limit", String(HISTORY_PAGE_SIZE));
+  if (before) url.searchParams.set("before", before);
+  const arr = await heliusGET(url.toString()); const txs = Array.isArray(arr) ? arr : [];
+  return { txs, size: txs.length, cursor: txs[txs.length - 1]?.signature ?? null };
+}
+
+// All txs of `address` with time >= since, capped by pages/txs. truncated=true means the window
+// wasn't reached; coverage_from is then the oldest time actually covered.
+// Windows covered by the webhook event log are served from it. Otherwise pages are fetched newest-first
+// until they reach the cached signature run for the address; the rest of the window is replayed from
+// the tx cache and paging only resumes past the run's tail.
+async function fetchHistory(address, { since = 0, maxPages = HISTORY_MAX_PAGES, maxTxs = HISTORY_MAX_TXS, offline = false } = {}) {
+  const live = eventHistory(address, { since, maxTxs }); if (live) return live;
+  if (offline) return cachedHistory(address, { since, maxTxs });
+  const idx = cacheGet("hist", address); // { sigs: [[signature, time]] newest-first contiguous, exhausted }
+  const run = idx?.sigs || [];
+  const pos = new Map(run.map(([sig], i) => [sig, i]));
+  const txs = []; let before = null, pages = 0, fromCache = 0, complete = false, exhausted = false, rest = [];
+  page: while (!complete && pages < maxPages && txs.length < maxTxs) {
+    const { txs: arr, size, cursor } = await historyPage(address, before); pages++;
+    if (size === 0) { complete = exhausted = true; break; }
+    for (const it of arr) {
+      const at = pos.get(it.signature);
+      if (at !== undefined) {
+        pos.clear();
+        for (let i = at; i < run.length; i++) {
+          const [sig, ts] = run[i];
+          if (ts < since || txs.length >= maxTxs) { complete = ts < since; rest = run.slice(i); break page; }
+          const tx = cacheGet("tx", sig);
+          if (!tx) { before = txs.length ? txs[txs.length - 1].signature : null; continue page; } // purged: refetch from here
+          txs.push(tx); fromCache++;
+        }
+        if (idx.exhausted) { complete = exhausted = true; break page; }
+        before = run[run.length - 1][0];
+        continue page;
+      }
+      if (txTime(it) < since) { complete = true; break; }
+      txs.push(it); cachePut("tx", it.signature, it);
+      if (txs.length >= maxTxs) break;
+    }
+    before = cursor; // short pages happen mid-history: only an empty page marks the start
+  }
+  if (cacheDb) {
+    const sigs = [...txs.map(it => [it.signature, txTime(it)]), ...rest];
+    cachePut("hist", address, { sigs: sigs.slice(0, CACHE_INDEX_MAX), exhausted: (rest.length ? !!idx.exhausted : exhausted) && sigs.length <= CACHE_INDEX_MAX });
+  }
+  const oldest = txs.length ? txTime(txs[txs.length - 1]) : since;
+  return { txs, truncated: !complete, coverage_from: complete ? since : oldest, pages, from_cache: fromCache };
+}
+
+// `address`'s txs older than signature `before`, back to its first tx (an empty page); truncated = maxPages ran out first
+async function historyBefore(address, before, maxPages = HISTORY_MAX_PAGES) {
+  const txs = []; let cursor = before, complete = false;
+  for (let pages = 0; pages < maxPages; pages++) {
+    const { txs: arr, size, cursor: next } = await historyPage(address, cursor);
+    if (size === 0) { complete = true; break; }
+    for (const it of arr) { txs.push(it); cachePut("tx", it.signature, it); }
+    cursor = next;
+  }
+  return { txs, truncated: !complete };
+}
+
+// Same contract as fetchHistory, served only from the local cache (no network)
+function cachedHistory(address, { since = 0, maxTxs = HISTORY_MAX_TXS } = {}) {
+  const idx = cacheGet("hist", address);
+  const txs = []; let complete = !!idx?.exhausted;
+  for (const [sig, ts] of (idx?.sigs || [])) {
+    if (ts < since) { complete = true; break; }
+    if (txs.length >= maxTxs) break;
+    const tx = cacheGet("tx", sig); if (tx) txs.push(tx);
+  }
+  const oldest = txs.length ? txTime(txs[txs.length - 1]) : Math.floor(Date.now()/1000);
+  return { txs, truncated: !complete, coverage_from: complete ? since : oldest, pages: 0, from_cache: txs.length };
+}
+
+// Oldest `n` signatures of an address (oldest first), walking getSignaturesForAddress back to the start.
+// complete=false means maxPages ran out before the first signature.
+async function earliestSignatures(address, n, maxPages = TOKEN_AGE_MAX_PAGES) {
+  let before = null, pages = 0, complete = false, tail = [];
+  while (pages < maxPages) {
+    const sigs = await rpc("getSignaturesForAddress", [address, { limit: 1000, ...(before ? { before } : {}) }]); pages++;
+    if (!Array.isArray(sigs) || sigs.length === 0) { complete = true; break; }
+    tail = [...tail, ...sigs].slice(-n);
+    if (sigs.length < 1000) { complete = true; break; }
+    before = sigs[sigs.length - 1].signature;
+  }
+  return { sigs: tail.reverse(), complete, pages };
+}
+
+// Helius-parsed txs by signature (tx cache first, then /v0/transactions in batches of 100, or getTransaction
+// one by one on a plain RPC), in input order
+async function parsedTransactions(signatures) {
+  const found = new Map();
+  for (const sig of signatures) { const tx = cacheGet("tx", sig); if (tx) found.set(sig, tx); }
+  const missing = signatures.filter(sig => !found.has(sig));
+  const enhanced = clusterConf().enhanced;
+  if (!enhanced) {
+    await Promise.all(missing.map(async sig => {
+      const tx = await rpc("getTransaction", [sig, { encoding: "json", maxSupportedTransactionVersion: 0, commitment: "confirmed" }]);
+      if (tx) { const it = decodeRawTx(sig, tx); found.set(sig, it); cachePut("tx", sig, it); }
+    }));
+  }
+  for (let i = 0; enhanced && i < missing.length; i += 100) {
+    const arr = await heliusPOST(enhanced.parse_tx, { transactions: missing.slice(i, i + 100) });
+    for (const it of Array.isArray(arr) ? arr : []) { found.set(it.signature, it); cachePut("tx", it.signature, it); }
+  }
+  return signatures.map(sig => found.get(sig)).filter(Boolean);
+}
+
+// Coverage across several addresses: truncated if any is, covered from the latest start
+function mergeCoverage(a, b) { return { truncated: a.truncated || b.truncated, coverage_from: Math.max(a.coverage_from, b.coverage_from) }; }
+
+// ====== EVENT LOG (Helius enhanced-transaction webhooks, indexed by every account and mint a tx touches)
+// Tracked entries declare coverage: once an address is tracked (and in the Helius webhook's account list),
+// every tx touching it arrives here, so history reads of that address for windows starting after `since` skip
+// the network. Only the tracked address itself is covered: a tracked program (e.g. pump.fun) logs every tx that
+// goes through it, but the wallets and mints in those txs have other txs that don't.
+const eventRoot = HELIUS_WEBHOOK_SECRET ? openLMDB({ path: EVENTS_PATH }) : null;
+const eventDb = eventRoot ? { tx: eventRoot.openDB("tx"), idx: eventRoot.openDB("idx"), byTime: eventRoot.openDB("by_time"), track: eventRoot.openDB("track") } : null;
+const TRACK_KINDS = ["address", "mint", "program"];
+const eventStats = { received: 0, stored: 0, duplicates: 0, last_event_at: null };
+
+function requireEvents() { if (!eventDb) throw new Error("event log disabled: set HELIUS_WEBHOOK_SECRET"); }
+
+function eventKeys(it) {
+  const keys = new Set([it.feePayer]);
+  for (const a of it.accountData || []) { keys.add(a.account); for (const b of a.tokenBalanceChanges || []) { keys.add(b.userAccount); keys.add(b.mint); } }
+  for (const t of it.tokenTransfers || []) { keys.add(t.fromUserAccount); keys.add(t.toUserAccount); keys.add(t.fromTokenAccount); keys.add(t.toTokenAccount); keys.add(t.mint); }
+  for (const t of it.nativeTransfers || []) { keys.add(t.fromUserAccount); keys.add(t.toUserAccount); }
+  for (const ix of it.instructions || []) keys.add(ix.programId);
+  keys.delete(undefined); keys.delete(null); keys.delete("");
+  return [...keys];
+}
+
+async function ingestEvents(payload) {
+  requireEvents();
+  const arr = Array.isArray(payload) ? payload : [payload];
+  let stored = 0, duplicates = 0;
+  for (const it of arr) {
+    if (!it?.signature) continue;
+    if (eventDb.tx.doesExist(it.signature)) { duplicates++; continue; }
+    const ts = txTime(it) || Math.floor(Date.now()/1000);
+    const keys = eventKeys(it);
+    await eventRoot.transaction(() => {
+      eventDb.tx.put(it.signature, it);
+      for (const k of keys) eventDb.idx.put([k, ts, it.signature], null);
+      eventDb.byTime.put([ts, it.signature], keys);
+    });
+    stored++;
+  }
+  Object.assign(eventStats, { received: eventStats.received + arr.length, stored: eventStats.stored + stored, duplicates: eventStats.duplicates + duplicates });
+  if (stored) eventStats.last_event_at = Math.floor(Date.now()/1000);
+  return { received: arr.length, stored, duplicates };
+}
+
+async function pruneEvents() {
+  if (!eventDb) return { pruned: 0 };
+  const cutoff = Math.floor(Date.now()/1000) - EVENTS_RETENTION_DAYS * 86400;
+  let pruned = 0;
+  for (const { key: [ts, sig], value: keys } of eventDb.byTime.getRange({ end: [cutoff] })) {
+    await eventRoot.transaction(() => {
+      for (const k of keys) eventDb.idx.remove([k, ts, sig]);
+      eventDb.tx.remove(sig); eventDb.byTime.remove([ts, sig]);
+    });
+    pruned++;
+  }
+  return { pruned };
+}
+
+// Oldest time from which the log holds every tx of `address` (null = not tracked)
+function eventCoverage(address) {
+  const t = eventDb?.track.get(address);
+  return t ? Math.max(t.since, Math.floor(Date.now()/1000) - EVENTS_RETENTION_DAYS * 86400) : null;
+}
+
+function eventsFor(address, { since = 0, limit = HISTORY_MAX_TXS } = {}) {
+  const txs = [];
+  for (const [, , sig] of eventDb.idx.getKeys({ start: [address, Number.MAX_SAFE_INTEGER], end: [address, since], reverse: true })) {
+    if (txs.length >= limit) break;
+    const tx = eventDb.tx.get(sig); if (tx) txs.push(tx);
+  }
+  return txs;
+}
+
+// fetchHistory's contract, served from the log when it covers [since, now]; null otherwise
+function eventHistory(address, { since = 0, maxTxs = HISTORY_MAX_TXS } = {}) {
+  if (currentCluster() !== SOLANA_CLUSTER) return null; // the webhook feeds the server's cluster only
+  const from = eventCoverage(address);
+  if (from == null || from > since) return null;
+  const txs = eventsFor(address, { since, limit: maxTxs + 1 });
+  const truncated = txs.length > maxTxs; if (truncated) txs.length = maxTxs;
+  return { txs, truncated, coverage_from: truncated ? txTime(txs[txs.length - 1]) : since, pages: 0, from_cache: 0, from_events: txs.length };
+}
+
+// Push the tracked list into the Helius webhook's accountAddresses (HELIUS_WEBHOOK_ID)
+async function syncHeliusWebhook() {
+  if (!HELIUS_WEBHOOK_ID) return { synced: false, reason: "HELIUS_WEBHOOK_ID not set" };
+  const url = `${HELIUS_API_BASE}/v0/webhooks/${HELIUS_WEBHOOK_ID}?api-key=${HELIUS_API_KEY || ""}`;
+  try {
+    const cur = await heliusGET(url);
+    const accountAddresses = [...eventDb.track.getKeys()];
+    const body = { webhookURL: cur.webhookURL, transactionTypes: cur.transactionTypes, webhookType: cur.webhookType, authHeader: cur.authHeader, accountAddresses };
+    await upstreamJSON("enhanced", "helius", url, { method: "PUT", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+    return { synced: true, addresses: accountAddresses.length };
+  } catch (e) { return { synced: false, reason: e.message }; }
+}
+
+function trackedList() {
+  requireEvents();
+  const entries = [...eventDb.track.getRange()].map(({ key, value }) => ({ address: key, ...value, coverage_from: eventCoverage(key) }));
+  return { entries, stats: { ...eventStats, events: eventDb.tx.getCount(), retention_days: EVENTS_RETENTION_DAYS } };
+}
+
+async function trackAddresses(entries /* [{address, kind, label?}] */, sync = true) {
+  requireEvents();
+  const now = Math.floor(Date.now()/1000); let added = 0;
+  for (const e of entries) {
+    assertPubkey(e.address);
+    const prev = eventDb.track.get(e.address);
+    if (!prev) added++;
+    await eventDb.track.put(e.address, { kind: e.kind, label: e.label ?? prev?.label ?? null, since: prev?.since ?? now });
+  }
+  return { added, tracked: eventDb.track.getCount(), webhook: sync ? await syncHeliusWebhook() : null };
+}
+
+async function untrackAddresses(addresses, sync = true) {
+  requireEvents();
+  let removed = 0;
+  for (const a of addresses) if (await eventDb.track.remove(a)) removed++;
+  return { removed, tracked: eventDb.track.getCount(), webhook: sync ? await syncHeliusWebhook() : null };
+}
+
+function queryEvents(address, { sinceMinutes = null, limit = 100 } = {}) {
+  requireEvents();
+  const since = sinceMinutes ? Math.floor(Date.now()/1000) - sinceMinutes * 60 : 0;
+  return { address, coverage_from: eventCoverage(address), txs: eventsFor(address, { since, limit }) };
+}
+
+// ====== TRADES (swap normalizer over Helius parsed txs)
+const rawUi = (r) => Number(r?.tokenAmount || 0) / 10 ** Number(r?.decimals || 0);
+
+// Lamports the trader moved that aren't part of the trade: tx fee (incl. priority fee), Jito tips, and rent
+// deposited into / refunded from the trader's own token accounts (ATA creation on a first buy, closes on exit).
+// For a wSOL account only the part beyond its wSOL balance change is rent.
+function nonTradeLamports(it, trader) {
+  let lamports = Number(it.fee || 0);
+  for (const n of (it.nativeTransfers || [])) if (n.fromUserAccount === trader && JITO_TIP_ACCOUNTS.has(n.toUserAccount)) lamports += Number(n.amount || 0);
+  const own = new Set();
+  for (const t of (it.tokenTransfers || [])) { if (t.fromUserAccount === trader) own.add(t.fromTokenAccount); if (t.toUserAccount === trader) own.add(t.toTokenAccount); }
+  for (const a of (it.accountData || [])) for (const c of (a.tokenBalanceChanges || [])) if (c.userAccount === trader) own.add(c.tokenAccount || a.account);
+  own.delete(trader); own.delete(undefined); own.delete(null);
+  for (const a of (it.accountData || [])) {
+    if (!own.has(a.account)) continue;
+    const wsol = (a.tokenBalanceChanges || []).filter(c => c.mint === WSOL_MINT).reduce((s, c) => s + Number(c.rawTokenAmount?.tokenAmount || 0), 0);
+    lamports += Number(a.nativeBalanceChange || 0) - wsol;
+  }
+  return lamports;
+}
+
+// The user's side of a swap: what left the trader (ins) and what it received (outs).
+// events.swap when Helius recognized the swap, else the fee payer's net balance changes
+// (native change with nonTradeLamports added back, so wSOL wrap/unwrap nets out and rent, fees and tips stay out of the SOL leg).
+function swapLegs(it) {
+  const sw = it.events?.swap;
+  if (sw) {
+    const ins = [], outs = [];
+    if (Number(sw.nativeInput?.amount) > 0) ins.push({ mint: WSOL_MINT, amount: Number(sw.nativeInput.amount) / 1e9 });
+    if (Number(sw.nativeOutput?.amount) > 0) outs.push({ mint: WSOL_MINT, amount: Number(sw.nativeOutput.amount) / 1e9 });
+    for (const t of (sw.tokenInputs || [])) ins.push({ mint: t.mint, amount: rawUi(t.rawTokenAmount) });
+    for (const t of (sw.tokenOutputs || [])) outs.push({ mint: t.mint, amount: rawUi(t.rawTokenAmount) });
+    const trader = sw.nativeInput?.account || sw.tokenInputs?.[0]?.userAccount || it.feePayer;
+    return { trader, ins, outs, decoder: "events.swap" };
+  }
+  const trader = it.feePayer; if (!trader) return null;
+  const net = {}, overhead = nonTradeLamports(it, trader);
+  for (const a of (it.accountData || [])) {
+    if (a.account === trader) net[WSOL_MINT] = (net[WSOL_MINT] || 0) + (Number(a.nativeBalanceChange || 0) + overhead) / 1e9;
+    for (const c of (a.tokenBalanceChanges || [])) if (c.userAccount === trader) net[c.mint] = (net[c.mint] || 0) + rawUi(c.rawTokenAmount);
+  }
+  const legs = Object.entries(net).filter(([, v]) => v !== 0);
+  return { trader, ins: legs.filter(([, v]) => v < 0).map(([mint, v]) => ({ mint, amount: -v })), outs: legs.filter(([, v]) => v > 0).map(([mint, amount]) => ({ mint, amount })), decoder: "balance_changes" };
+}
+
+// One trade of `mint` (or of the single non-quote token when mint is null) against a registered quote asset
+function decodeTrade(it, mint = null) {
+  const legs = swapLegs(it); if (!legs) return null;
+  const others = [...new Set([...legs.ins, ...legs.outs].map(x => x.mint).filter(m => !QUOTE_ASSETS[m]))];
+  const tokenMint = mint ?? (others.length === 1 ? others[0] : null);
+  if (!tokenMint) return null;
+  const sum = (arr) => arr.filter(x => x.mint === tokenMint).reduce((s, x) => s + x.amount, 0);
+  const quoteOf = (arr) => arr.filter(x => x.mint !== tokenMint && QUOTE_ASSETS[x.mint]).sort((a, b) => quoteRank(a.mint) - quoteRank(b.mint))[0];
+  const tokIn = sum(legs.ins), tokOut = sum(legs.outs);
+  let side, quote;
+  if (tokOut > 0 && tokIn === 0) { side = "buy"; quote = quoteOf(legs.ins); }
+  else if (tokIn > 0 && tokOut === 0) { side = "sell"; quote = quoteOf(legs.outs); }
+  if (!side || !quote) return null;
+  const tokenAmount = tokOut || tokIn;
+  return {
+    sig: it.signature, time: txTime(it), slot: it.slot ?? null, trader: legs.trader, side, mint: tokenMint, token_amount: tokenAmount,
+    quote_mint: quote.mint, quote_symbol: quoteSymbol(quote.mint), quote_amount: quote.amount, price: quote.amount / tokenAmount,
+    source: it.source ?? null, decoder: legs.decoder
+  };
+}
+
+// Decoded trades of a tx list (deduped by signature), oldest first
+function tradesFromTxs(txs, mint) {
+  const seen = new Set(), trades = [];
+  for (const it of txs) {
+    if (seen.has(it.signature)) continue;
+    seen.add(it.signature);
+    const t = decodeTrade(it, mint); if (t) trades.push(t);
+  }
+  trades.sort((a, b) => a.time - b.time);
+  return { trades, txs_scanned: seen.size };
+}
+
+// Trades since `since` across addresses; histOpts go to fetchHistory (maxPages/maxTxs/offline)
+async function collectTrades(addresses, mint, since, histOpts = {}) {
+  const txs = []; let cov = { truncated: false, coverage_from: since };
+  for (const addr of addresses) {
+    const h = await fetchHistory(addr, { since, ...histOpts });
+    cov = mergeCoverage(cov, h);
+    txs.push(...h.txs);
+  }
+  return { ...tradesFromTxs(txs, mint), ...cov };
+}
+
+// USD at the current quote reference price (historic SOL/USD isn't tracked); fixedSolUsd pins it for offline runs
+async function attachUsd(trades, fixedSolUsd = null) {
+  const px = {};
+  for (const t of trades) {
+    if (!(t.quote_mint in px)) px[t.quote_mint] = fixedSolUsd != null && QUOTE_ASSETS[t.quote_mint]?.kind === "sol" ? fixedSolUsd : await quoteUsd(t.quote_mint);
+    const q = px[t.quote_mint];
+    t.value_usd = q != null ? t.quote_amount * q : null;
+    t.price_usd = q != null ? t.price * q : null;
+  }
+  return trades;
+}
+
+async function listTrades(addresses, mint = null, windowMinutes = 1440, limit = 200) {
+  const since = Math.floor(Date.now()/1000) - windowMinutes * 60;
+  const { trades, ...cov } = await collectTrades(addresses, mint, since);
+  const recent = await attachUsd(trades.slice(-limit).reverse());
+  return { trades: recent, count: trades.length, ...cov };
+}
+
+// Buy/sell counts and net flow over a window
+async function tradeFlow(addresses, mint = null, windowMinutes = 1440) {
+  const since = Math.floor(Date.now()/1000) - windowMinutes * 60;
+  const { trades, ...cov } = await collectTrades(addresses, mint, since);
+  await attachUsd(trades);
+  const f = { buys: 0, sells: 0, buy_tokens: 0, sell_tokens: 0, buy_volume_usd: 0, sell_volume_usd: 0 };
+  const buyers = new Set(), sellers = new Set();
+  for (const t of trades) {
+    const k = t.side;
+    f[`${k}s`] += 1; f[`${k}_tokens`] += t.token_amount; f[`${k}_volume_usd`] += t.value_usd || 0;
+    (k === "buy" ? buyers : sellers).add(t.trader);
+  }
+  return {
+    window_minutes: windowMinutes, ...f, net_flow_tokens: f.buy_tokens - f.sell_tokens, net_flow_usd: f.buy_volume_usd - f.sell_volume_usd,
+    buy_sell_ratio: f.sells ? f.buys / f.sells : null, unique_buyers: buyers.size, unique_sellers: sellers.size, ...cov
+  };
+}
+
+// Average-cost book per wallet over USD-valued trades (oldest first). Sells of tokens bought before
+// the trades start can't be matched to a cost and are reported as unmatched_sell_tokens.
+function pnlBook(trades, only = null) {
+  const book = new Map();
+  for (const t of trades) {
+    if (only && !only.has(t.trader)) continue;
+    const w = book.get(t.trader) || {
+      wallet: t.trader, buys: 0, sells: 0, bought_tokens: 0, sold_tokens: 0, cost_usd: 0, proceeds_usd: 0, realized_pnl_usd: 0, matched_cost_usd: 0,
+      position_tokens: 0, position_cost_usd: 0, unmatched_sell_tokens: 0, first_trade_sig: t.sig, first_buy_sig: null, first_buy_time: null, last_sell_sig: null
+    };
+    const usd = t.value_usd || 0;
+    if (t.side === "buy") {
+      w.buys++; w.bought_tokens += t.token_amount; w.cost_usd += usd; w.position_tokens += t.token_amount; w.position_cost_usd += usd;
+      if (!w.first_buy_sig) { w.first_buy_sig = t.sig; w.first_buy_time = t.time; }
+    } else {
+      w.sells++; w.sold_tokens += t.token_amount; w.proceeds_usd += usd; w.last_sell_sig = t.sig;
+      const matched = Math.min(t.token_amount, w.position_tokens);
+      if (matched > 0) {
+        const avg = w.position_cost_usd / w.position_tokens;
+        w.realized_pnl_usd += usd * (matched / t.token_amount) - avg * matched;
+        w.matched_cost_usd += avg * matched;
+        w.position_cost_usd -= avg * matched; w.position_tokens -= matched;
+      }
+      w.unmatched_sell_tokens += t.token_amount - matched;
+    }
+    book.set(t.trader, w);
+  }
+  return book;
+}
+
+// Per-wallet realized (average cost) / unrealized PnL over a window
+async function walletPnl(addresses, mint, windowMinutes = 1440, { wallets = null, pool = null } = {}) {
+  const since = Math.floor(Date.now()/1000) - windowMinutes * 60;
+  const { trades, ...cov } = await collectTrades(addresses, mint, since);
+  await attachUsd(trades);
+  let mark = trades.length ? trades[trades.length - 1].price_usd : null;
+  if (pool) mark = (await priceAndFDVFromReserves(mint, { pool })).price_usd;
+  const book = pnlBook(trades, wallets ? new Set(wallets) : null);
+  const list = Array.from(book.values()).map(w => {
+    const unrealized = mark != null ? w.position_tokens * mark - w.position_cost_usd : null;
+    return { ...w, unrealized_pnl_usd: unrealized, total_pnl_usd: w.realized_pnl_usd + (unrealized || 0) };
+  });
+  list.sort((a, b) => b.total_pnl_usd - a.total_pnl_usd);
+  return { mint, window_minutes: windowMinutes, mark_price_usd: mark, wallets: list, trades: trades.length, ...cov };
+}
+
 // ====== CORE QUANT METRICS (1. Core Filters & Core Quantitative Metrics)
-// TVL/price/FDV via pool reserves (USDC side inference)
+// Legacy reserve pair (quote side from the quote registry); pool addresses go through resolvePool
 async function poolReserves(reserveX, reserveY) {
   const [ax, ay] = await Promise.all([getTokenAccountBalance(reserveX), getTokenAccountBalance(reserveY)]);
   const [ix, iy] = await Promise.all([getAccountInfoParsed(reserveX), getAccountInfoParsed(reserveY)]);
   const mintX = ix?.mint, mintY = iy?.mint;
-  let usdc = ax, tok = ay, tokMint = mintY, usdcMint = mintX;
-  if (mintY === USDC_MINT) { usdc = ay; tok = ax; usdcMint = mintY; tokMint = mintX; }
-  if (mintX === USDC_MINT) { usdc = ax; tok = ay; usdcMint = mintX; tokMint = mintY; }
-  // Fallback heuristic by decimals
-  if (!usdcMint && ay.decimals === 6 && ax.decimals !== 6) { usdc = ay; tok = ax; }
-  return { usdc, tok, tokMint, usdcMint };
+  let quote = ax, tok = ay, tokMint = mintY, quoteMint = mintX;
+  if (quoteRank(mintY) < quoteRank(mintX)) { quote = ay; tok = ax; quoteMint = mintY; tokMint = mintX; }
+  if (!QUOTE_ASSETS[quoteMint] && ay.decimals === 6 && ax.decimals !== 6) {
+    // Neither side is a known quote: pick the side by decimals; it stays unpriced (quoteUsd -> null)
+    quote = ay; tok = ax; tokMint = mintX; quoteMint = mintY;
+  }
+  return { quote, tok, tokMint, quoteMint };
 }
 
-async function priceAndFDVFromReserves(tokenMint, reserveX, reserveY) {
-  const { usdc, tok } = await poolReserves(reserveX, reserveY);
-  if (tok.ui <= 0 || usdc.ui <= 0) throw new Error("pool reserves are zero");
-  const price = usdc.ui / tok.ui; // USDC per token
-  const supply = await getMintSupply(tokenMint);
-  const fdv = price * supply.ui;
-  return { price_usd: price, fdv_usd: fdv, total_supply: supply.ui, pool_usdc: usdc.ui, pool_token: tok.ui };
+// Normalized view of a pool address or a legacy {reserve_x, reserve_y} pair
+async function pricedPool({ pool, reserve_x, reserve_y }) {
+  if (pool) {
+    const p = await resolvePool(pool);
+    return { pool, dex: p.dex, tokMint: p.base_mint, quoteMint: p.quote_mint, tokUi: p.base_reserve, quoteUi: p.quote_reserve, price: p.price_in_quote, source: p.price_source };
+  }
+  if (!reserve_x || !reserve_y) throw new Error("pool or reserve_x/reserve_y required");
+  const { quote, tok, tokMint, quoteMint } = await poolReserves(reserve_x, reserve_y);
+  return { pool: null, dex: null, tokMint, quoteMint, tokUi: tok.ui, quoteUi: quote.ui, price: tok.ui > 0 ? quote.ui / tok.ui : 0, source: "vault_ratio" };
+}
+
+async function priceAndFDVFromReserves(tokenMint, spec) {
+  const p = await pricedPool(spec);
+  if (p.pool && p.tokMint !== tokenMint) throw new Error(`token ${tokenMint} is not the base side of pool ${p.pool}`);
+  if (!(p.price > 0) || p.quoteUi <= 0) throw new Error("pool reserves are zero");
+  const [supply, quotePx] = await Promise.all([getMintSupply(tokenMint), quoteUsd(p.quoteMint)]);
+  return {
+    quote_mint: p.quoteMint, quote_symbol: quoteSymbol(p.quoteMint), quote_usd: quotePx,
+    price_quote: p.price, fdv_quote: p.price * supply.ui,
+    price_usd: quotePx != null ? p.price * quotePx : null, fdv_usd: quotePx != null ? p.price * supply.ui * quotePx : null,
+    total_supply: supply.ui, pool_quote: p.quoteUi, pool_token: p.tokUi, price_source: p.source, dex: p.dex
+  };
 }
 
-async function tvlTotalUSDC(pools /* array of {reserve_x, reserve_y} */) {
-  let tvl = 0;
-  for (const p of pools) {
-    const { usdc } = await poolReserves(p.reserve_x, p.reserve_y);
-    tvl += usdc.ui * 2; // rough: USDC side *2 (symmetry assumption)
+// TVL per pool = quote reserve + base reserve valued at the pool price (no 50/50 symmetry assumption)
+async function tvlTotalUSDC(pools /* array of {pool} | {reserve_x, reserve_y} */) {
+  let tvl = 0; const rows = [], unpriced = [];
+  for (const spec of pools) {
+    const p = await pricedPool(spec);
+    const tvlQuote = p.quoteUi + p.tokUi * p.price;
+    const quotePx = await quoteUsd(p.quoteMint);
+    const row = { pool: p.pool, dex: p.dex, quote_mint: p.quoteMint, quote_symbol: quoteSymbol(p.quoteMint), tvl_quote: tvlQuote, tvl_usd: quotePx != null ? tvlQuote * quotePx : null };
+    if (row.tvl_usd != null) { tvl += row.tvl_usd; rows.push(row); } else unpriced.push(row);
   }
-  return { tvl_usd: tvl };
+  return { tvl_usd: tvl, pools: rows, unpriced };
 }
 
 async function lpProvidersCount(lpMint, excludeOwners = []) {
@@ -148,66 +1272,172 @@ async function lpProvidersCount(lpMint, excludeOwners = []) {
   return { lp_mint: lpMint, holders: set.size, lp_sum_balances: sum, lp_total_supply: sup.ui };
 }
 
+// owner address -> owning program, for program-owned accounts (PDAs); wallets are system-owned and left out
+async function programOwners(addresses) {
+  const out = new Map();
+  for (let i = 0; i < addresses.length; i += 100) {
+    const chunk = addresses.slice(i, i + 100);
+    const r = await rpc("getMultipleAccounts", [chunk, { encoding: "base64", dataSlice: { offset: 0, length: 0 } }]);
+    (r?.value || []).forEach((a, j) => { if (a && a.owner !== SYSTEM_PROGRAM) out.set(chunk[j], a.owner); });
+  }
+  return out;
+}
+
+// Locked = held by a listed owner, or by an owner account (escrow PDA) that a listed locker program owns.
+// Only the largest LOCKER_SCAN_OWNERS holders are checked for program ownership.
+const LOCKER_SCAN_OWNERS = 100;
 async function lpLockedPercent(lpMint, lockerOwners = []) {
   const [v1, v2, sup] = await Promise.all([
     getProgramAccountsByMint(lpMint, TOKEN_PROGRAM),
     getProgramAccountsByMint(lpMint, TOKEN_2022_PROGRAM),
     getMintSupply(lpMint)
   ]);
-  let locked = 0;
+  const lockers = new Set(lockerOwners);
+  const balances = new Map();
   for (const row of [...v1, ...v2]) {
     const info = row?.account?.data?.parsed?.info; if (!info) continue;
-    if (lockerOwners.includes(info.owner)) locked += Number(info.tokenAmount?.uiAmount || 0);
+    const ui = Number(info.tokenAmount?.uiAmount || 0);
+    if (ui > 0) balances.set(info.owner, (balances.get(info.owner) || 0) + ui);
   }
-  return { lp_total_supply: sup.ui, locked_ui: locked, locked_pct: sup.ui ? (locked / sup.ui) * 100 : 0 };
+  const candidates = [...balances.entries()].filter(([o]) => !lockers.has(o)).sort((a, b) => b[1] - a[1]).slice(0, LOCKER_SCAN_OWNERS).map(([o]) => o);
+  const programOf = await programOwners(candidates);
+  let locked = 0; const locked_by = [];
+  for (const [owner, ui] of balances) {
+    const via = lockers.has(owner) ? owner : lockers.has(programOf.get(owner)) ? programOf.get(owner) : null;
+    if (via) { locked += ui; locked_by.push({ owner, locker: via, amount: ui }); }
+  }
+  return { lp_total_supply: sup.ui, locked_ui: locked, locked_pct: sup.ui ? (locked / sup.ui) * 100 : 0, locked_by };
 }
 
-async function mintAuthorities(mint) {
-  const info = await getAccountInfoParsed(mint);
-  const mintAuthority = info?.mintAuthority ?? null;
-  const freezeAuthority = info?.freezeAuthority ?? null;
-  const supply = await getMintSupply(mint);
-  return { mintAuthority, freezeAuthority, isMintRevoked: !mintAuthority, isFreezeRevoked: !freezeAuthority, decimals: supply.decimals };
+// Token-2022 extensions that let an authority tax, seize, block or freeze holders
+const RISKY_EXTENSIONS = ["transferFeeConfig", "permanentDelegate", "transferHook", "nonTransferable", "defaultAccountState", "pausableConfig", "mintCloseAuthority"];
+
+async function mintAuthorities(mint) { return authoritiesOf(await getMintAccount(mint)); }
+
+// Authorities of an already-read mint account (getMintAccount)
+function authoritiesOf({ program, info, extensions }) {
+  const mintAuthority = info.mintAuthority ?? null;
+  const freezeAuthority = info.freezeAuthority ?? null;
+  const riskExtensions = RISKY_EXTENSIONS.filter(x => x in extensions);
+  return { mintAuthority, freezeAuthority, isMintRevoked: !mintAuthority, isFreezeRevoked: !freezeAuthority, decimals: info.decimals, program, isToken2022: program === TOKEN_2022_PROGRAM, riskExtensions };
 }
 
-async function topHolders(mint, limit = 20) {
+// AMM authorities are data-less PDAs, so the program-owner check can't see them
+const POOL_AUTHORITIES = {
+  "5Q544fKrFoe6tsEbD7S8EgxGA8Jdj8dP6BJeHkFc7CQ1": "Raydium AMM v4 authority",
+  "GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL": "Raydium CPMM authority"
+};
+
+// Balances merged per owner (one owner may hold several token accounts)
+async function holderBalances(mint) {
   const [v1, v2, sup] = await Promise.all([
     getProgramAccountsByMint(mint, TOKEN_PROGRAM),
     getProgramAccountsByMint(mint, TOKEN_2022_PROGRAM),
     getMintSupply(mint)
   ]);
-  const items = [];
+  const owners = new Map(), ownerOf = new Map(); let accounts = 0;
   for (const row of [...v1, ...v2]) {
     const info = row?.account?.data?.parsed?.info; if (!info) continue;
-    const owner = info.owner; const ui = Number(info.tokenAmount?.uiAmount || 0);
-    if (ui > 0) items.push({ owner, ui });
+    const ui = Number(info.tokenAmount?.uiAmount || 0); if (ui <= 0) continue;
+    const o = owners.get(info.owner) || { amount: 0, accounts: 0 };
+    o.amount += ui; o.accounts++; owners.set(info.owner, o); ownerOf.set(row.pubkey, info.owner); accounts++;
+  }
+  return { supply: sup.ui, accounts, owners, ownerOf };
+}
+
+// owner -> exclusion reason: burn registry, explicit list, pool vaults (given pools, known AMM authorities,
+// or owner accounts owned by a DEX program) among the largest LOCKER_SCAN_OWNERS owners
+async function excludedOwners({ owners, ownerOf }, { pools = [], exclude = [] } = {}) {
+  const out = new Map();
+  for (const a of exclude) out.set(a, "excluded");
+  const burn = registries.get("burn"); for (const a of burn ? burn.entries.keys() : []) out.set(a, "burn");
+  for (const [a, label] of Object.entries(POOL_AUTHORITIES)) out.set(a, `pool: ${label}`);
+  for (const pool of pools) {
+    const p = await resolvePool(pool);
+    for (const v of [p.base_vault, p.quote_vault]) if (ownerOf.has(v)) out.set(ownerOf.get(v), `pool: ${p.dex} ${pool}`);
+  }
+  const candidates = [...owners].filter(([o]) => !out.has(o)).sort((a, b) => b[1].amount - a[1].amount).slice(0, LOCKER_SCAN_OWNERS).map(([o]) => o);
+  for (const [o, program] of await programOwners(candidates)) if (DEX_ADAPTERS[dexProgram(program)]) out.set(o, `pool: owned by ${program}`);
+  for (const o of [...out.keys()]) if (!owners.has(o)) out.delete(o);
+  return out;
+}
+
+// Gini (0 = equal, 1 = one holder) and HHI (sum of squared % shares, 0..10000) over balances
+function distribution(amounts) {
+  const xs = [...amounts].sort((a, b) => a - b); const n = xs.length; const total = xs.reduce((s, x) => s + x, 0);
+  if (!n || !total) return { gini: null, hhi: null };
+  const weighted = xs.reduce((s, x, i) => s + (i + 1) * x, 0);
+  return { gini: (2 * weighted) / (n * total) - (n + 1) / n, hhi: xs.reduce((s, x) => s + ((x / total) * 100) ** 2, 0) };
+}
+
+// Time of the wallet's oldest signature, walking back only while it's still newer than notBefore.
+// null = unknown: no signatures, or FRESH_MAX_PAGES ran out before reaching notBefore.
+async function walletFirstSeen(address, notBefore) {
+  let before = null, oldest = null;
+  for (let page = 0; page < FRESH_MAX_PAGES; page++) {
+    const sigs = await rpc("getSignaturesForAddress", [address, { limit: 1000, ...(before ? { before } : {}) }]);
+    if (!Array.isArray(sigs) || !sigs.length) return oldest?.blockTime ?? null;
+    oldest = sigs[sigs.length - 1];
+    if (sigs.length < 1000 || (oldest.blockTime ?? 0) < notBefore) return oldest.blockTime ?? null;
+    before = oldest.signature;
+  }
+  return null; // page cap hit while still newer than notBefore: a busy wallet, not a fresh one
+}
+
+// Share of supply held by (the given) owners whose first transaction is within the last `hours`
+async function freshWalletShare(holders /* [{owner, amount}] */, hours, supply) {
+  const cutoff = Math.floor(Date.now()/1000) - hours * 3600;
+  const fresh = []; let unknown = 0;
+  for (const h of holders) {
+    const first = await walletFirstSeen(h.owner, cutoff);
+    if (first == null) unknown++;
+    else if (first >= cutoff) fresh.push({ owner: h.owner, amount: h.amount, first_seen: first });
   }
-  items.sort((a,b)=>b.ui-a.ui);
-  const top = items.slice(0, limit).map((x,i)=>({ rank:i+1, owner:x.owner, amount:x.ui, pct_of_supply: sup.ui? (x.ui/sup.ui)*100:0 }));
+  const amt = fresh.reduce((s, x) => s + x.amount, 0);
+  return { fresh_hours: hours, checked: holders.length, fresh_wallets: fresh.length, fresh_pct_of_supply: supply ? (amt / supply) * 100 : 0, unknown, fresh };
+}
+
+// Owner-level top holders; pool vaults, burn and excluded owners are listed apart and left out of
+// concentration / Gini / HHI. Percentages stay relative to total supply.
+async function topHolders(mint, limit = 20, { pools = [], exclude = [], freshHours = null, balances = null } = {}) {
+  const bal = balances || await holderBalances(mint);
+  const { supply } = bal;
+  const ex = await excludedOwners(bal, { pools, exclude });
+  const pct = (x) => supply ? (x / supply) * 100 : 0;
+  const ranked = [...bal.owners].map(([owner, o]) => ({ owner, ...o })).sort((a, b) => b.amount - a.amount);
+  const included = ranked.filter(x => !ex.has(x.owner));
+  const excluded = ranked.filter(x => ex.has(x.owner)).map(x => ({ owner: x.owner, amount: x.amount, pct_of_supply: pct(x.amount), reason: ex.get(x.owner) }));
+  const circulating = supply - excluded.reduce((s, x) => s + x.amount, 0);
+  const top = included.slice(0, limit).map((x, i) => ({ rank: i+1, owner: x.owner, amount: x.amount, accounts: x.accounts, pct_of_supply: pct(x.amount), pct_of_circulating: circulating > 0 ? (x.amount / circulating) * 100 : 0 }));
   const top1 = top[0]?.pct_of_supply || 0;
   const top10 = top.slice(0,10).reduce((s,x)=>s+x.pct_of_supply,0);
-  return { supply: sup.ui, total_accounts: items.length, top, concentration_top1_pct: top1, concentration_top10_pct: top10 };
+  return {
+    supply, circulating, total_accounts: bal.accounts, holders: included.length, top, concentration_top1_pct: top1, concentration_top10_pct: top10,
+    ...distribution(included.map(x => x.amount)), excluded,
+    ...(freshHours ? { fresh: await freshWalletShare(top, freshHours, supply) } : {})
+  };
 }
 
 // Activity windows (5m, 15m, 1/4/6/12/24/48/72h) by address list (pool, mint ATA owners, etc.)
 async function activityWindows(addresses, windowsMinutes /* [5,15,60,240,360,720,1440,2880,4320] */) {
   const now = Math.floor(Date.now()/1000);
   const results = {};
-  for (const w of windowsMinutes) results[w] = { tx: 0, volume_usdc: 0, unique_actors: 0 };
+  for (const w of windowsMinutes) results[w] = { tx: 0, volume_usdc: 0, volume_by_quote: {}, volume_usd: 0, unique_actors: 0 };
   const actorSets = Object.fromEntries(windowsMinutes.map(w=>[w, new Set()]));
+  const volByMint = Object.fromEntries(windowsMinutes.map(w=>[w, {}]));
+  const since = now - Math.max(...windowsMinutes) * 60;
+  let cov = { truncated: false, coverage_from: since };
   for (const addr of addresses) {
-    const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", addr));
-    url.searchParams.set("limit","500");
-    url.searchParams.set("until","now");
-    const arr = await heliusGET(url.toString());
-    for (const it of arr) {
-      const ts = it.blockTime || 0; if (!ts) continue;
+    const h = await fetchHistory(addr, { since });
+    cov = mergeCoverage(cov, h);
+    for (const it of h.txs) {
+      const ts = txTime(it); if (!ts) continue;
       const dtMin = (now - ts) / 60;
       for (const w of windowsMinutes) {
         if (dtMin <= w) {
           results[w].tx += 1;
+          for (const [mint, amt] of quoteLegs(it, addr)) volByMint[w][mint] = (volByMint[w][mint] || 0) + amt;
           for (const t of (it.tokenTransfers || [])) {
-            if (t.mint === USDC_MINT) results[w].volume_usdc += Math.abs(Number(t.tokenAmount||0));
             if (t.fromUserAccount) actorSets[w].add(t.fromUserAccount);
             if (t.toUserAccount) actorSets[w].add(t.toUserAccount);
           }
@@ -215,37 +1445,34 @@ async function activityWindows(addresses, windowsMinutes /* [5,15,60,240,360,720
       }
     }
   }
-  for (const w of windowsMinutes) results[w].unique_actors = actorSets[w].size;
+  for (const w of windowsMinutes) {
+    const { by_quote, usd } = await normalizeVolumes(volByMint[w]);
+    Object.assign(results[w], { unique_actors: actorSets[w].size, volume_usdc: by_quote.USDC || 0, volume_by_quote: by_quote, volume_usd: usd,
+      truncated: cov.coverage_from > now - w * 60, coverage_from: Math.max(cov.coverage_from, now - w * 60) });
+  }
   return results;
 }
 
-// Token age (seconds -> days)
-async function tokenAgeDays(address) {
-  const base = HELIUS_PARSE_ADDR_URL.replace("{address}", address);
-  const url = new URL(base);
-  url.searchParams.set("limit","1000");
-  const arr = await heliusGET(url.toString());
-  const oldest = arr[arr.length-1]?.blockTime || arr[0]?.blockTime || null;
-  if (!oldest) return { days: null };
-  return { days: (Date.now()/1000 - oldest)/86400 };
+// Token age (seconds -> days) from the first signature; walks signatures (1000/page) to the start
+async function tokenAgeDays(address, maxPages = TOKEN_AGE_MAX_PAGES) {
+  const { sigs: [oldest], complete, pages } = await earliestSignatures(address, 1, maxPages);
+  if (!oldest?.blockTime) return { days: null, first_signature: oldest?.signature ?? null, truncated: !complete };
+  return { days: (Date.now()/1000 - oldest.blockTime)/86400, first_signature: oldest.signature, first_block_time: oldest.blockTime, truncated: !complete, pages };
 }
 
 // Global Fees Paid (approx) = sum(tx.fee) for provided addresses in last 24h
 async function globalFeesPaid24h(addresses) {
   const since = Math.floor(Date.now()/1000) - 86400;
-  let fees = 0, txs = 0;
+  let fees = 0, txs = 0, cov = { truncated: false, coverage_from: since };
   for (const addr of addresses) {
-    const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", addr));
-    url.searchParams.set("limit", "500");
-    url.searchParams.set("until", "now");
-    const arr = await heliusGET(url.toString());
-    for (const it of arr) {
-      if ((it.blockTime||0) < since) continue;
+    const h = await fetchHistory(addr, { since });
+    cov = mergeCoverage(cov, h);
+    for (const it of h.txs) {
       txs += 1;
       if (typeof it.fee === "number") fees += it.fee; // lamports
     }
   }
-  return { tx_24h: txs, fees_lamports_24h: fees, fees_sol_24h: fees/1e9 };
+  return { tx_24h: txs, fees_lamports_24h: fees, fees_sol_24h: fees/1e9, ...cov };
 }
 
 // Deposit Vault sum (sum balances of given vault token accounts for the token mint)
@@ -255,25 +1482,21 @@ async function depositVaultSum(vaultTokenAccounts /* array of token-account pubk
   return { sum_ui: sum, decimals: dec };
 }
 
-// Traders / Trades / Volume 24h by addresses
-async function tradersTradesVolume24h(addresses) {
+// Traders / Trades / Volume 24h from decoded swaps (routers, vaults and fee accounts aren't traders)
+async function tradersTradesVolume24h(addresses, mint = null) {
   const since = Math.floor(Date.now()/1000) - 86400;
-  const actors = new Set(); let trades = 0; let volUSDC = 0;
-  for (const addr of addresses) {
-    const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", addr));
-    url.searchParams.set("limit","500"); url.searchParams.set("until","now");
-    const arr = await heliusGET(url.toString());
-    for (const it of arr) {
-      if ((it.blockTime||0) < since) continue;
-      trades += 1;
-      for (const t of (it.tokenTransfers||[])) {
-        if (t.fromUserAccount) actors.add(t.fromUserAccount);
-        if (t.toUserAccount) actors.add(t.toUserAccount);
-        if (t.mint === USDC_MINT) volUSDC += Math.abs(Number(t.tokenAmount||0));
-      }
-    }
+  const { trades, ...cov } = await collectTrades(addresses, mint, since);
+  const traders = new Set(); const volByMint = {}; let buys = 0;
+  for (const t of trades) {
+    traders.add(t.trader);
+    volByMint[t.quote_mint] = (volByMint[t.quote_mint] || 0) + t.quote_amount;
+    if (t.side === "buy") buys++;
   }
-  return { unique_traders_24h: actors.size, total_trades_24h: trades, total_volume_usdc_24h: volUSDC };
+  const { by_quote, usd } = await normalizeVolumes(volByMint);
+  return {
+    unique_traders_24h: traders.size, total_trades_24h: trades.length, buys_24h: buys, sells_24h: trades.length - buys,
+    total_volume_usdc_24h: by_quote.USDC || 0, volume_by_quote_24h: by_quote, total_volume_usd_24h: usd, ...cov
+  };
 }
 
 // FDV / MC ratio helper
@@ -287,13 +1510,11 @@ function fdvToMcap(price, totalSupply, circulatingSupply = null) {
 async function vipWalletsPresence(vipAddresses /* string[] */, addressesToScan /* pool or mint owners */) {
   const since = Math.floor(Date.now()/1000) - 86400;
   const vip = new Set(vipAddresses.map(s=>s.trim()).filter(Boolean));
-  const hits = new Map();
+  const hits = new Map(); let cov = { truncated: false, coverage_from: since };
   for (const addr of addressesToScan) {
-    const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", addr));
-    url.searchParams.set("limit","500"); url.searchParams.set("until","now");
-    const arr = await heliusGET(url.toString());
-    for (const it of arr) {
-      if ((it.blockTime||0) < since) continue;
+    const h = await fetchHistory(addr, { since });
+    cov = mergeCoverage(cov, h);
+    for (const it of h.txs) {
       for (const t of (it.tokenTransfers||[])) {
         const a = t.fromUserAccount || ""; const b = t.toUserAccount || "";
         if (vip.has(a) || vip.has(b)) {
@@ -302,24 +1523,22 @@ async function vipWalletsPresence(vipAddresses /* string[] */, addressesToScan /
       }
     }
   }
-  return { vip_count: hits.size, vip_hits: Array.from(hits.entries()).map(([address,count])=>({ address, count })) };
+  return { vip_count: hits.size, vip_hits: Array.from(hits.entries()).map(([address,count])=>({ address, count })), ...cov };
 }
 
 async function devBehavior(devAddresses /* string[] */, addressesToScan /* pool/mint */) {
   const since = Math.floor(Date.now()/1000) - 86400;
-  let suspicious = [];
+  let suspicious = [], cov = { truncated: false, coverage_from: since };
   for (const dev of devAddresses) {
-    const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", dev));
-    url.searchParams.set("limit","500"); url.searchParams.set("until","now");
-    const arr = await heliusGET(url.toString());
-    for (const it of arr) {
-      if ((it.blockTime||0) < since) continue;
+    const h = await fetchHistory(dev, { since });
+    cov = mergeCoverage(cov, h);
+    for (const it of h.txs) {
       const hasLP = (it.tokenTransfers||[]).some(x=>x.tokenStandard==="lpToken" || /LP/i.test(x.tokenSymbol||""));
       const large = (it.nativeTransfers||[]).some(x=>Math.abs(Number(x.amount||0)) > 2*1e9); // >2 SOL as example
-      if (hasLP || large) suspicious.push({ dev, sig: it.signature, blockTime: it.blockTime, note: hasLP?"LP move":"large SOL move" });
+      if (hasLP || large) suspicious.push({ dev, sig: it.signature, blockTime: txTime(it), note: hasLP?"LP move":"large SOL move" });
     }
   }
-  return { suspicious };
+  return { suspicious, ...cov };
 }
 
 function devLinkToSuccess(devAddress, knownCreators /* string[] */) {
@@ -329,99 +1548,1318 @@ function devLinkToSuccess(devAddress, knownCreators /* string[] */) {
 
 async function revivalDetector(poolAddresses /* string[] */) {
   const win = await activityWindows(poolAddresses, [60*24, 60*72]); // 24h vs 72h
-  const daily = win[1440] || { tx:0, volume_usdc:0 };
-  const tri = win[4320] || { tx:1, volume_usdc:1 };
-  const multiplier = (daily.volume_usdc / (tri.volume_usdc/3));
-  return { revival_active: multiplier > 3, multiplier, daily_volume_usdc: daily.volume_usdc };
+  const daily = win[1440] || { tx:0, volume_usd:0 };
+  const tri = win[4320] || { tx:1, volume_usd:1 };
+  const multiplier = (daily.volume_usd / (tri.volume_usd/3));
+  return { revival_active: multiplier > 3, multiplier, daily_volume_usd: daily.volume_usd, daily_volume_by_quote: daily.volume_by_quote, truncated: !!tri.truncated, coverage_from: tri.coverage_from };
 }
 
-async function firstWaveBuyers(poolAddress /* pair vault/reserve owner address */ , minutes = 10, vipList = []) {
+async function firstWaveBuyers(poolAddress /* pair vault/reserve owner address */ , minutes = 10, vipList = [], mint = null) {
   const since = Math.floor(Date.now()/1000) - (minutes*60);
-  const url = new URL(HELIUS_PARSE_ADDR_URL.replace("{address}", poolAddress));
-  url.searchParams.set("limit","500"); url.searchParams.set("until","now");
-  const arr = await heliusGET(url.toString());
+  const { trades, ...cov } = await collectTrades([poolAddress], mint, since);
   const vip = new Set(vipList);
   const buyers = new Map();
-  for (const it of arr) {
-    if ((it.blockTime||0) < since) continue;
-    for (const t of (it.tokenTransfers||[])) {
-      if (t.toUserAccount) buyers.set(t.toUserAccount, (buyers.get(t.toUserAccount)||0) + Math.abs(Number(t.tokenAmount||0)));
-    }
+  for (const t of trades) {
+    if (t.side !== "buy") continue;
+    const b = buyers.get(t.trader) || { address: t.trader, amount: 0, quote_amount: 0, quote_symbol: t.quote_symbol, buys: 0, first_buy_sig: t.sig, first_buy_time: t.time };
+    b.amount += t.token_amount; b.quote_amount += t.quote_amount; b.buys += 1;
+    buyers.set(t.trader, b);
   }
-  const list = Array.from(buyers.entries()).map(([address,amount])=>({ address, amount, vip: vip.has(address) }));
+  const list = Array.from(buyers.values()).map(b=>({ ...b, vip: vip.has(b.address) }));
   list.sort((a,b)=>b.amount-a.amount);
-  return { buyers: list, count: list.length, vip_count: list.filter(x=>x.vip).length };
+  return { buyers: list, count: list.length, vip_count: list.filter(x=>x.vip).length, ...cov };
 }
 
-// ====== SCORING (3.)
-function scoreToken(inputs) {
-  // inputs = {
-  //   lpProvidersMin, lpLockedMinPct, decimalsPref:[9,6], maxTop1Pct, maxTop10Pct,
-  //   priceUsd, totalSupply, circulatingSupply, activity24h:{traders,trades,volume},
-  //   vipHits, revivalActive, tokenAgeDays,
-  //   weights: { lpCount, lpLocked, holdersDist, activity, vip, revival, age, fdvToMc }
-  // }
-  const w = inputs.weights || { lpCount:2, lpLocked:2, holdersDist:2, activity:1, vip:1, revival:1, age:1, fdvToMc:1 };
-  let score = 0; const reasons = [];
-  if (inputs.lpProviders >= inputs.lpProvidersMin) { score += 10*w.lpCount; } else reasons.push("LP providers below threshold");
-  if (inputs.lpLockedPct >= inputs.lpLockedMinPct) { score += 8*w.lpLocked; } else reasons.push("LP locked pct low");
-  if (inputs.concentrationTop1Pct <= inputs.maxTop1Pct) { score += 6*w.holdersDist; } else reasons.push("Top1 concentration high");
-  if (inputs.concentrationTop10Pct <= inputs.maxTop10Pct) { score += 6*w.holdersDist; } else reasons.push("Top10 concentration high");
-  if ((inputs.activity24h?.traders||0) >= (inputs.minTraders24h||0)) score += 5*w.activity; else reasons.push("Low traders 24h");
-  if ((inputs.vipHits||0) > 0) score += 4*w.vip; 
-  if (inputs.revivalActive) score += 3*w.revival;
-  if (inputs.tokenAgeDays <= (inputs.maxAgeDays||0.25)) score += 2*w.age; // 0.25 ~ 6h
-  if ((inputs.fdvToMc||1) >= 0.9 && (inputs.fdvToMc||1) <= 1.1) score += 4*w.fdvToMc; // FDV≈MC
-  return { score, reasons };
-}
-
-// ====== ADVANCED (4.) — stubs with structure for future wiring
-function mlSuggestWallets() { return { status: "todo", note: "ML on previous successful hunts" }; }
-function discoverNewProfitWallets() { return { status: "todo", note: "auto discovery of profitable wallets" }; }
-function analyzeTokenomics(options={}) { return { status: "todo", note: "deflation/mintable/tax change analysis", options }; }
-
-// ====== FEATURES/UTILITY (5., 6.)
-function blacklistCheck(address, blacklist=[]) { const set = new Set(blacklist); return { address, blacklisted: set.has(address) }; }
+// ====== BUNDLES & FUNDING (launch-slot bundling, common SOL funders)
+// Plain SOL sent to `wallet` (swap proceeds aren't funding): funder -> { sol, sigs }. With `before` (a signature,
+// e.g. the wallet's first launch tx) the history older than it is read, so pre-launch funding isn't buried under
+// later activity; otherwise the wallet's recent history. truncated = the page cap stopped the walk.
+async function walletFunders(wallet, { before = null, maxPages = FUNDING_MAX_PAGES, minSol = 0.01 } = {}) {
+  const h = before ? await historyBefore(wallet, before, maxPages) : await fetchHistory(wallet, { maxPages });
+  const funders = new Map();
+  for (const it of h.txs) {
+    if (it.type === "SWAP" || decodeTrade(it)) continue;
+    for (const t of it.nativeTransfers || []) {
+      if (t.toUserAccount !== wallet || !t.fromUserAccount || t.fromUserAccount === wallet) continue;
+      const sol = Number(t.amount || 0) / 1e9; if (sol < minSol) continue;
+      const f = funders.get(t.fromUserAccount) || { sol: 0, sigs: [] };
+      f.sol += sol; if (!f.sigs.includes(it.signature)) f.sigs.push(it.signature);
+      funders.set(t.fromUserAccount, f);
+    }
+  }
+  return { funders, truncated: h.truncated };
+}
 
-// ====== HTTP (health)
-const app = express();
-app.post("/messages", (_req,res)=>res.status(200).json({ status: "received" }));
+// Connected components over `links` ([a, b] pairs); singletons dropped
+function linkClusters(nodes, links) {
+  const parent = new Map(nodes.map(n => [n, n]));
+  const find = (x) => { while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); } return x; };
+  for (const [a, b] of links) if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+  const groups = new Map();
+  for (const n of nodes) { const r = find(n); (groups.get(r) || groups.set(r, []).get(r)).push(n); }
+  return [...groups.values()].filter(g => g.length > 1);
+}
 
-// ====== MCP server + tools
-const server = new McpServer({ name: "NALH-Helius-MCP", version: "1.0.0" }, { capabilities: { logging: {} } });
+// A funder inside the set links to each wallet it funded; an outside funder links the wallets it funded
+function funderLinks(shared_funders) {
+  return shared_funders.flatMap(f => f.in_set ? f.wallets.map(w => [f.funder, w]) : f.wallets.slice(1).map(w => [f.wallets[0], w]));
+}
 
-function addTool(name, schema, impl, description) {
-  server.tool(name, schema, async (args) => {
-    const out = await impl(args);
-    return { content: [{ type: "json", json: out }] };
-  }, { description });
+// Wallets are linked when one funded another or they share a funder; `ignore` drops hubs (exchanges, faucets).
+// `anchors` (wallet -> signature) limits a wallet's funding to the history before that tx.
+async function fundingClusters(wallets, { maxPages = FUNDING_MAX_PAGES, minSol = 0.01, ignore = [], anchors = new Map() } = {}) {
+  const set = [...new Set(wallets)]; const inSet = new Set(set);
+  const skip = new Set([...ignore, ...JITO_TIP_ACCOUNTS]);
+  const edges = [], byFunder = new Map(); let truncated = false;
+  for (const w of set) {
+    const r = await walletFunders(w, { before: anchors.get(w) ?? null, maxPages, minSol });
+    truncated ||= r.truncated;
+    for (const [f, x] of r.funders) {
+      if (skip.has(f)) continue;
+      edges.push({ from: f, to: w, kind: "funded", sol: x.sol, sigs: x.sigs.slice(0, 5) });
+      (byFunder.get(f) || byFunder.set(f, []).get(f)).push(w);
+    }
+  }
+  const shared_funders = [...byFunder].filter(([f, ws]) => ws.length > 1 || inSet.has(f)).map(([funder, ws]) => ({ funder, in_set: inSet.has(funder), wallets: ws }));
+  const clusters = linkClusters(set, funderLinks(shared_funders)).map((ws, i) => {
+    const members = new Set(ws);
+    return { id: i + 1, wallets: ws, funders: shared_funders.filter(f => f.wallets.some(w => members.has(w))).map(f => f.funder) };
+  });
+  return { wallets: set.length, clusters, shared_funders, edges, truncated };
 }
 
-// --- RAW
-addTool("raw.rpc", z.object({ method: z.string(), params: z.array(z.any()).optional() }), ({ method, params }) => rpc(method, params||[]), "Raw Solana RPC passthrough");
-addTool("raw.helius_get", z.object({ url: z.string() }), ({ url }) => heliusGET(url), "Raw Helius GET");
+// Earliest `limit` txs of a mint or pool: buyers landing in the same slot (Jito-tipped or not) and buyers
+// sharing SOL funders are linked; reports how much supply the linked wallets bought at launch.
+async function bundleDetector(address, { mint = null, limit = 100, fundingPages = FUNDING_MAX_PAGES, minSol = 0.01, ignore = [] } = {}) {
+  assertPubkey(address);
+  const tokenMint = mint ?? await resolvePool(address).then(p => p.base_mint, () => address);
+  const warnings = [];
+  const { sigs, complete } = await earliestSignatures(address, limit);
+  if (!complete) warnings.push(`signature walk stopped after ${TOKEN_AGE_MAX_PAGES} pages: these are not the launch txs`);
+  const txs = await parsedTransactions(sigs.filter(x => !x.err).map(x => x.signature));
+  const deployer = txs[0]?.feePayer ?? null;
+  const buys = tradesFromTxs(txs, tokenMint).trades.filter(t => t.side === "buy");
+  const tipped = new Set(txs.filter(it => (it.nativeTransfers || []).some(t => JITO_TIP_ACCOUNTS.has(t.toUserAccount))).map(it => it.signature));
+  const bought = new Map(); for (const b of buys) bought.set(b.trader, (bought.get(b.trader) || 0) + b.token_amount);
+  const supply = (await getMintSupply(tokenMint)).ui;
+  const pct = (x) => supply ? (x / supply) * 100 : 0;
 
-// --- CORE FILTERS & QUANT METRICS (exact names kept in descriptions)
-addTool("metrics.token_supply", z.object({ mint: z.string() }), ({ mint }) => getMintSupply(mint), "Total supply / decimals / ui");
-addTool("metrics.price_fdv_from_reserves", z.object({ token_mint: z.string(), reserve_x: z.string(), reserve_y: z.string() }), ({ token_mint, reserve_x, reserve_y }) => priceAndFDVFromReserves(token_mint, reserve_x, reserve_y), "Price & FDV via USDC pool reserves");
-addTool("metrics.tvl_total_usdc", z.object({ pools: z.array(z.object({ reserve_x: z.string(), reserve_y: z.string() })) }), ({ pools }) => tvlTotalUSDC(pools), "TVL sum across pools (USDC‑based)");
-addTool("metrics.lp_providers_count", z.object({ lp_mint: z.string(), excludeOwners: z.array(z.string()).optional() }), ({ lp_mint, excludeOwners }) => lpProvidersCount(lp_mint, excludeOwners||[]), "LP providers (unique LP token holders)");
-addTool("metrics.lp_locked_percent", z.object({ lp_mint: z.string(), lockerOwners: z.array(z.string()).optional() }), ({ lp_mint, lockerOwners }) => lpLockedPercent(lp_mint, lockerOwners||[]), "LP locked % by locker/burn owners");
-addTool("metrics.mint_authorities", z.object({ mint: z.string() }), ({ mint }) => mintAuthorities(mint), "Mint/Freeze authorities (revoked / multisig check)");
-addTool("metrics.top_holders", z.object({ mint: z.string(), limit: z.number().int().min(1).max(100).optional() }), ({ mint, limit }) => topHolders(mint, limit||20), "Top holders & concentration");
-addTool("metrics.activity_windows", z.object({ addresses: z.array(z.string()), windows_minutes: z.array(z.number()).default([5,15,60,240,360,720,1440,2880,4320]) }), ({ addresses, windows_minutes }) => activityWindows(addresses, windows_minutes), "TX/USDC/actors across windows 5m/15m/1/4/6/12/24/48/72h");
-addTool("metrics.global_fees_paid_24h", z.object({ addresses: z.array(z.string()) }), ({ addresses }) => globalFeesPaid24h(addresses), "Global_Fees_Paid (GFP) 24h over addresses");
-addTool("metrics.deposit_vault_sum", z.object({ vault_token_accounts: z.array(z.string()) }), ({ vault_token_accounts }) => depositVaultSum(vault_token_accounts), "Deposit_Vault sum over vault token accounts");
-addTool("metrics.traders_trades_volume_24h", z.object({ addresses: z.array(z.string()) }), ({ addresses }) => tradersTradesVolume24h(addresses), "No_Traders_24H / Total_Trades_24H / Total_Volume_24H (USDC)");
-addTool("metrics.fdv_to_mcap", z.object({ price_usd: z.number(), total_supply: z.number(), circulating_supply: z.number().nullable().optional() }), ({ price_usd, total_supply, circulating_supply }) => fdvToMcap(price_usd, total_supply, circulating_supply ?? null), "FDV_to_MCap ratio");
+  const bySlot = new Map();
+  for (const b of buys) if (b.slot != null) (bySlot.get(b.slot) || bySlot.set(b.slot, []).get(b.slot)).push(b);
+  const same_slot = [...bySlot].map(([slot, bs]) => ({ slot, wallets: [...new Set(bs.map(b => b.trader))], bs }))
+    .filter(g => g.wallets.length > 1)
+    .map(({ slot, wallets, bs }) => {
+      const amount = bs.reduce((s, b) => s + b.token_amount, 0);
+      return { slot, wallets, jito: bs.some(b => tipped.has(b.sig)), token_amount: amount, pct_of_supply: pct(amount), sigs: bs.map(b => b.sig) };
+    });
 
-// --- ADVANCED & CUSTOM (VIP, dev/team, whales, revival, blacklist)
-addTool("filters.vip_wallets_presence", z.object({ vip_addresses: z.array(z.string()), addresses_to_scan: z.array(z.string()) }), ({ vip_addresses, addresses_to_scan }) => vipWalletsPresence(vip_addresses, addresses_to_scan), "VIP/Smart Wallet presence");
-addTool("filters.dev_behavior", z.object({ dev_addresses: z.array(z.string()), addresses_to_scan: z.array(z.string()) }), ({ dev_addresses, addresses_to_scan }) => devBehavior(dev_addresses, addresses_to_scan), "Dev/Team behavior (LP or large moves)");
-addTool("filters.dev_link_success", z.object({ dev_address: z.string(), known_creators: z.array(z.string()) }), ({ dev_address, known_creators }) => devLinkToSuccess(dev_address, known_creators), "Link Dev/Team to known successful creators");
+  const wallets = [...new Set([...(deployer ? [deployer] : []), ...bought.keys()])];
+  // funding is what arrived before each wallet's first launch tx (buys are oldest first)
+  const anchors = new Map(deployer ? [[deployer, txs[0].signature]] : []);
+  for (const b of buys) if (!anchors.has(b.trader)) anchors.set(b.trader, b.sig);
+  const fc = await fundingClusters(wallets, { maxPages: fundingPages, minSol, ignore: [...ignore, address], anchors });
+  if (fc.truncated) warnings.push(`funding traced over ${fundingPages} history pages before each wallet's first launch tx only: earlier funding may be missing`);
+  const slotLinks = same_slot.flatMap(g => g.wallets.slice(1).map(w => [g.wallets[0], w]));
+  const clusters = linkClusters(wallets, [...funderLinks(fc.shared_funders), ...slotLinks]).map((ws) => {
+    const members = new Set(ws);
+    const amount = ws.reduce((s, w) => s + (bought.get(w) || 0), 0);
+    return {
+      wallets: ws, includes_deployer: members.has(deployer), token_amount: amount, pct_of_supply: pct(amount),
+      evidence: {
+        same_slot: same_slot.filter(g => g.wallets.some(w => members.has(w))).map(({ slot, jito, sigs }) => ({ slot, jito, sigs })),
+        shared_funders: fc.shared_funders.filter(f => f.wallets.some(w => members.has(w))),
+        buy_sigs: buys.filter(b => members.has(b.trader)).map(b => b.sig)
+      }
+    };
+  }).sort((a, b) => b.token_amount - a.token_amount).map((c, i) => ({ id: i + 1, ...c }));
+
+  const roles = new Map(wallets.map(w => [w, w === deployer ? "deployer" : "buyer"]));
+  for (const e of fc.edges) if (!roles.has(e.from)) roles.set(e.from, "funder");
+  const bundled = new Set(same_slot.flatMap(g => g.wallets));
+  return {
+    address, mint: tokenMint, deployer, txs_analyzed: txs.length, reached_launch: complete, first_slot: txs[0]?.slot ?? null,
+    buyers: bought.size, buys: buys.length, jito_tipped_txs: tipped.size,
+    same_slot, bundled_pct_of_supply: pct([...bundled].reduce((s, w) => s + (bought.get(w) || 0), 0)),
+    clusters, linked_pct_of_supply: clusters.reduce((s, c) => s + c.pct_of_supply, 0),
+    deployer_linked_pct_of_supply: clusters.filter(c => c.includes_deployer).reduce((s, c) => s + c.pct_of_supply, 0),
+    graph: {
+      nodes: [...roles].map(([id, role]) => ({ id, role, bought: bought.get(id) || 0 })),
+      edges: [...fc.edges, ...same_slot.flatMap(g => g.wallets.slice(1).map(w => ({ from: g.wallets[0], to: w, kind: "same_slot", slot: g.slot, jito: g.jito })))]
+    },
+    warnings
+  };
+}
+
+// ====== CREATOR PROFILE (deployer, upstream funders, their earlier mints and how those ended)
+const LP_PULL_TYPES = ["WITHDRAW_LIQUIDITY", "REMOVE_LIQUIDITY"];
+
+// Mints initialized (InitializeMint / InitializeMint2, outer or CPI) by a tx
+function initializedMints(it) {
+  const out = [];
+  for (const ix of (it.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])])) {
+    if (ix.programId !== TOKEN_PROGRAM && ix.programId !== TOKEN_2022_PROGRAM) continue;
+    let d; try { d = b58decode(ix.data || ""); } catch { continue; }
+    if ((d[0] === 0 || d[0] === 20) && ix.accounts?.[0]) out.push(ix.accounts[0]);
+  }
+  return out;
+}
+
+// Deployer = fee payer of the mint's first tx
+async function mintDeployer(mint) {
+  const { sigs: [first], complete } = await earliestSignatures(mint, 1);
+  const [tx] = first ? await parsedTransactions([first.signature]) : [];
+  return { deployer: tx?.feePayer ?? null, sig: first?.signature ?? null, time: tx ? txTime(tx) : first?.blockTime ?? null, complete };
+}
+
+// Outcome of an earlier token: lifetime (creation -> last activity), peak -> last price over the launch window
+// and the latest page of trades (sampled, so the true peak may be higher), LP pulls and sells by the creators
+async function tokenOutcome(mint, createdAt, creatorTxs, creators) {
+  const [early, latest] = await Promise.all([
+    earliestSignatures(mint, CREATOR_LAUNCH_TXS, CREATOR_SIG_PAGES).then(r => parsedTransactions(r.sigs.filter(x => !x.err).map(x => x.signature))),
+    fetchHistory(mint, { maxPages: 1 })
+  ]);
+  const { trades } = tradesFromTxs([...early, ...latest.txs], mint);
+  const quotes = {}; for (const t of trades) quotes[t.quote_mint] = (quotes[t.quote_mint] || 0) + 1;
+  const quote = Object.entries(quotes).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  const priced = trades.filter(t => t.quote_mint === quote);
+  const peak = priced.reduce((m, t) => Math.max(m, t.price), 0);
+  const last = priced[priced.length - 1]?.price ?? null;
+  const lastActivity = latest.txs.length ? txTime(latest.txs[0]) : createdAt;
+  const now = Math.floor(Date.now()/1000);
+  const pulls = creatorTxs.filter(it => LP_PULL_TYPES.includes(it.type) && (it.tokenTransfers || []).some(t => t.mint === mint));
+  const sold = tradesFromTxs(creatorTxs, mint).trades.filter(t => t.side === "sell" && creators.has(t.trader));
+  const drop = peak > 0 && last != null ? (1 - last / peak) * 100 : null;
+  const lifetimeDays = createdAt ? (lastActivity - createdAt) / 86400 : null;
+  return {
+    mint, created_at: createdAt, last_activity: lastActivity, lifetime_days: lifetimeDays, alive: now - lastActivity < CREATOR_DEAD_AFTER_DAYS * 86400,
+    quote_symbol: quote ? quoteSymbol(quote) : null, peak_price: peak || null, last_price: last, drop_from_peak_pct: drop,
+    lp_pulled: pulls.length > 0, lp_pull_sigs: pulls.map(it => it.signature),
+    creator_sold: sold.reduce((s, t) => s + t.token_amount, 0), creator_sell_sigs: sold.map(t => t.sig).slice(0, 10),
+    rugged: pulls.length > 0 || (drop != null && drop >= 90 && lifetimeDays != null && lifetimeDays < 2)
+  };
+}
+
+// 0..100 (50 = no track record). Rugged share of prior tokens drives it; serial launching and short
+// median lifetimes take points off. `score_inputs` plugs into score.compute / screen.token.
+function creatorReputation(tokens) {
+  const reasons = [];
+  if (!tokens.length) return { creator_score: 50, label: "unknown", reasons: ["no earlier tokens found for the creator wallets"] };
+  const rugged = tokens.filter(t => t.rugged).length, rate = rugged / tokens.length;
+  let score = 100 * (1 - rate);
+  if (rugged) reasons.push(`${rugged}/${tokens.length} earlier tokens rugged (LP pulled or -90% within 2 days)`);
+  if (tokens.length >= 5) { score -= 10; reasons.push(`serial launcher: ${tokens.length} earlier mints`); }
+  const life = median(tokens.map(t => t.lifetime_days).filter(x => x != null));
+  if (life != null && life < 1) { score -= 10; reasons.push(`median token lifetime ${life.toFixed(2)} days`); }
+  score = Math.max(0, Math.min(100, Math.round(score)));
+  const label = rugged >= 2 && rate >= 0.5 ? "serial_rugger" : rugged ? "mixed" : "clean";
+  return { creator_score: score, label, reasons, rugged, rug_rate: rate, median_lifetime_days: life };
+}
+
+async function creatorProfile(mint, { funderDepth = 1, maxFunders = 3, maxMints = CREATOR_MAX_MINTS, historyPages = CREATOR_HISTORY_PAGES, minSol = 0.1, ignore = [] } = {}) {
+  assertPubkey(mint);
+  const warnings = [];
+  const dep = await mintDeployer(mint);
+  if (!dep.deployer) throw new Error(`no deployer found for ${mint}`);
+  if (!dep.complete) warnings.push("signature walk didn't reach the mint's first tx: deployer may be wrong");
+
+  // deployer, then the largest SOL funders per level; each wallet's funding is read from before the deploy tx
+  // (deployer) or its earliest transfer to the wallet it funded, not from its latest activity
+  const skip = new Set([...ignore, ...JITO_TIP_ACCOUNTS]);
+  const wallets = new Map([[dep.deployer, { address: dep.deployer, role: "deployer", depth: 0 }]]);
+  const anchors = new Map([[dep.deployer, dep.sig]]);
+  const funders = []; let level = [dep.deployer];
+  for (let depth = 1; depth <= funderDepth; depth++) {
+    const next = [];
+    for (const w of level) {
+      const { funders: fs, truncated } = await walletFunders(w, { before: anchors.get(w), maxPages: historyPages, minSol });
+      if (truncated) warnings.push(`funders of ${w} traced over ${historyPages} history pages before its anchor tx only`);
+      for (const [f, x] of [...fs].filter(([f]) => !skip.has(f)).sort((a, b) => b[1].sol - a[1].sol).slice(0, maxFunders)) {
+        funders.push({ address: f, funded: w, sol: x.sol, depth, sigs: x.sigs.slice(0, 5) });
+        if (!wallets.has(f)) { wallets.set(f, { address: f, role: "funder", depth }); anchors.set(f, x.sigs[x.sigs.length - 1]); next.push(f); }
+      }
+    }
+    level = next;
+  }
+
+  // earlier mints created by any of those wallets
+  const creators = new Set(wallets.keys()); const created = new Map(); const creatorTxs = [];
+  for (const w of creators) {
+    const h = await fetchHistory(w, { maxPages: historyPages });
+    creatorTxs.push(...h.txs);
+    for (const it of h.txs) {
+      if (it.feePayer !== w) continue;
+      for (const m of initializedMints(it)) if (m !== mint && !created.has(m)) created.set(m, { created_by: w, create_sig: it.signature, created_at: txTime(it) });
+    }
+  }
+  if (creatorTxs.some(it => it.decoded_from === "rpc")) warnings.push("history decoded from plain RPC: LP pulls are recognized on Raydium, Orca and Meteora pool instructions only");
+  const prior = [...created].sort((a, b) => b[1].created_at - a[1].created_at);
+  if (prior.length > maxMints) warnings.push(`${prior.length} earlier mints found, outcomes checked for the newest ${maxMints}`);
+  const tokens = [];
+  for (const [m, c] of prior.slice(0, maxMints)) {
+    try { tokens.push({ ...c, ...await tokenOutcome(m, c.created_at, creatorTxs, creators) }); }
+    catch (e) { warnings.push(`outcome of ${m} failed: ${e.message}`); }
+  }
+  const rep = creatorReputation(tokens);
+  return {
+    mint, deployer: dep.deployer, creation: { sig: dep.sig, time: dep.time }, funders, wallets_scanned: [...wallets.values()],
+    earlier_mints: prior.length, prior_tokens: tokens, ...rep, score_inputs: { creatorScore: rep.creator_score }, warnings
+  };
+}
+
+// ====== SCORING (3.)
+const SCORE_WEIGHTS = { lpCount:2, lpLocked:2, holdersDist:2, activity:1, vip:1, revival:1, age:1, fdvToMc:1, creator:1 };
+
+function scoreToken(inputs, { skip = [] } = {}) {
+  // inputs = {
+  //   lpProvidersMin, lpLockedMinPct, decimalsPref:[9,6], maxTop1Pct, maxTop10Pct,
+  //   priceUsd, totalSupply, circulatingSupply, activity24h:{traders,trades,volume},
+  //   vipHits, vipListSize? (0 skips the VIP rule), revivalActive, tokenAgeDays, creatorScore?, minCreatorScore (creator.profile),
+  //   weights: { lpCount, lpLocked, holdersDist, activity, vip, revival, age, fdvToMc, creator }
+  // }
+  // skip = screen.token metric names whose rules aren't evaluated (a backtest row's `missing`)
+  const w = inputs.weights || SCORE_WEIGHTS;
+  let score = 0; const reasons = [], rules = {};
+  for (const r of SCORE_RULES) {
+    if ((r.when && !r.when(inputs)) || skip.includes(r.metric)) continue;
+    rules[r.id] = r.pass(inputs);
+    if (rules[r.id]) score += r.points * (w[r.weight] ?? 1); else if (r.fail) reasons.push(r.fail);
+  }
+  return { score, reasons, rules };
+}
+
+// scoreToken's rules: `points` x weights[weight] when pass(inputs); `fail` lands in reasons. when(inputs)=false skips the rule.
+// `metric` is the screen.token metric the rule's inputs come from.
+const SCORE_RULES = [
+  { id: "lp_providers", metric: "lp_providers", weight: "lpCount", points: 10, pass: i => i.lpProviders >= i.lpProvidersMin, fail: "LP providers below threshold" },
+  { id: "lp_locked", metric: "lp_locked", weight: "lpLocked", points: 8, pass: i => i.lpLockedPct >= i.lpLockedMinPct, fail: "LP locked pct low" },
+  { id: "top1", metric: "holders", weight: "holdersDist", points: 6, pass: i => i.concentrationTop1Pct <= i.maxTop1Pct, fail: "Top1 concentration high" },
+  { id: "top10", metric: "holders", weight: "holdersDist", points: 6, pass: i => i.concentrationTop10Pct <= i.maxTop10Pct, fail: "Top10 concentration high" },
+  { id: "traders_24h", metric: "activity_24h", weight: "activity", points: 5, pass: i => (i.activity24h?.traders||0) >= (i.minTraders24h||0), fail: "Low traders 24h" },
+  { id: "vip", metric: "vip", weight: "vip", points: 4, when: i => i.vipListSize !== 0, pass: i => (i.vipHits||0) > 0 }, // nothing to look for with an empty list
+  { id: "revival", metric: "revival", weight: "revival", points: 3, pass: i => !!i.revivalActive },
+  { id: "age", metric: "age", weight: "age", points: 2, pass: i => i.tokenAgeDays <= (i.maxAgeDays||0.25) }, // 0.25 ~ 6h
+  { id: "fdv_mc", metric: "holders", weight: "fdvToMc", points: 4, pass: i => i.fdvToMc != null && i.fdvToMc >= 0.9 && i.fdvToMc <= 1.1, fail: "FDV/MC unknown or far from 1" }, // FDV≈MC
+  { id: "creator", metric: "creator", weight: "creator", points: 5, when: i => i.creatorScore != null, pass: i => i.creatorScore >= (i.minCreatorScore ?? 50), fail: "Creator reputation low" }
+];
+
+// ====== SMART MONEY DISCOVERY
+// A "hit" is a wallet that bought within `earlyMinutes` of a token's first trade and exited
+// at least `minExitRatio` of its buys at a realized profit. Tokens come with mint + pools, or with
+// fixture `txs` (parsed Helius txs); offline=true reads history from the local cache only and
+// needs solUsd for SOL-quoted trades so results don't depend on the live reference pool.
+// Tokens whose history walk was truncated are skipped (flagged in `tokens`) rather than ranked.
+function median(xs) { if (!xs.length) return null; const a = [...xs].sort((x, y) => x - y); const m = a.length >> 1; return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2; }
+
+async function discoverNewProfitWallets(tokens, { earlyMinutes = 30, minHits = 2, minExitRatio = 0.5, limit = 50, offline = false, maxTxs = HISTORY_MAX_TXS, solUsd: fixedSolUsd = null } = {}) {
+  const perWallet = new Map(); const tokenStats = [];
+  for (const tk of tokens) {
+    const since = tk.lookback_hours ? Math.floor(Date.now()/1000) - tk.lookback_hours * 3600 : 0;
+    const src = tk.txs
+      ? { ...tradesFromTxs(tk.txs, tk.mint), truncated: false, coverage_from: since }
+      : await collectTrades([tk.mint, ...(tk.pools || [])], tk.mint, since, { offline, maxTxs, maxPages: Math.ceil(maxTxs / HISTORY_PAGE_SIZE) });
+    if (offline && fixedSolUsd == null && src.trades.some(t => QUOTE_ASSETS[t.quote_mint]?.kind === "sol")) throw new Error("sol_usd is required for offline runs with SOL-quoted trades");
+    const trades = await attachUsd(src.trades, fixedSolUsd);
+    const launch = trades[0]?.time ?? null;
+    // A truncated walk starts mid-history: its first trade isn't the launch, so "early" would mean "just after the cutoff"
+    const skipped = src.truncated ? "history truncated before the first trade (raise max_txs)" : null;
+    tokenStats.push({ mint: tk.mint, trades: trades.length, first_trade_time: launch, truncated: src.truncated, coverage_from: src.coverage_from, skipped });
+    if (launch == null || skipped) continue;
+    for (const w of pnlBook(trades).values()) {
+      if (!w.first_buy_sig) continue;
+      const delayMin = (w.first_buy_time - launch) / 60;
+      if (delayMin > earlyMinutes) continue;
+      const exited = w.bought_tokens > 0 && (w.sold_tokens - w.unmatched_sell_tokens) / w.bought_tokens >= minExitRatio;
+      const hit = exited && w.realized_pnl_usd > 0;
+      const agg = perWallet.get(w.wallet) || { wallet: w.wallet, early_entries: 0, hits: 0, delays: [], realized_pnl_usd: 0, matched_cost_usd: 0, evidence: [] };
+      agg.early_entries++; agg.delays.push(delayMin);
+      agg.realized_pnl_usd += w.realized_pnl_usd; agg.matched_cost_usd += w.matched_cost_usd;
+      if (hit) { agg.hits++; agg.evidence.push({ mint: tk.mint, entry_sig: w.first_buy_sig, exit_sig: w.last_sell_sig, entry_delay_min: delayMin, realized_pnl_usd: w.realized_pnl_usd }); }
+      perWallet.set(w.wallet, agg);
+    }
+  }
+  const candidates = Array.from(perWallet.values())
+    .filter(a => a.hits >= minHits)
+    .map(({ delays, ...a }) => ({ ...a, hit_rate: a.hits / a.early_entries, median_entry_delay_min: median(delays), realized_roi: a.matched_cost_usd ? a.realized_pnl_usd / a.matched_cost_usd : null }))
+    .sort((a, b) => b.hits - a.hits || b.hit_rate - a.hit_rate || (b.realized_roi ?? 0) - (a.realized_roi ?? 0) || a.median_entry_delay_min - b.median_entry_delay_min || a.wallet.localeCompare(b.wallet))
+    .slice(0, limit);
+  return { tokens: tokenStats, params: { early_minutes: earlyMinutes, min_hits: minHits, min_exit_ratio: minExitRatio, offline, sol_usd: fixedSolUsd }, candidates, vip_addresses: candidates.map(c => c.wallet) };
+}
+
+// ====== TOKENOMICS (mintability / tax / Token-2022 extensions)
+// Transfer fee: `newerTransferFee` takes effect from its epoch, `olderTransferFee` applies before it
+function transferFeeState(cfg, epoch) {
+  const older = cfg.olderTransferFee || {}, newer = cfg.newerTransferFee || {};
+  const newerEpoch = Number(newer.epoch || 0);
+  const cur = epoch >= newerEpoch ? newer : older;
+  const pending = newerEpoch > epoch ? newer : null;
+  return {
+    current_bps: Number(cur.transferFeeBasisPoints || 0), current_max_fee_raw: String(cur.maximumFee ?? 0),
+    next_bps: pending ? Number(pending.transferFeeBasisPoints || 0) : null, next_epoch: pending ? newerEpoch : null,
+    config_authority: cfg.transferFeeConfigAuthority ?? null, withdraw_withheld_authority: cfg.withdrawWithheldAuthority ?? null,
+    withheld_raw: String(cfg.withheldAmount ?? 0)
+  };
+}
+
+function decodeExtensions(extensions, epoch) {
+  const e = extensions;
+  return {
+    transfer_fee: e.transferFeeConfig ? transferFeeState(e.transferFeeConfig, epoch) : null,
+    permanent_delegate: e.permanentDelegate?.delegate ?? null,
+    transfer_hook: e.transferHook ? { program_id: e.transferHook.programId ?? null, authority: e.transferHook.authority ?? null } : null,
+    non_transferable: "nonTransferable" in e,
+    default_account_state: e.defaultAccountState?.accountState ?? null,
+    interest_bearing: e.interestBearingConfig ? { current_rate_bps: Number(e.interestBearingConfig.currentRate || 0), rate_authority: e.interestBearingConfig.rateAuthority ?? null } : null,
+    mint_close_authority: e.mintCloseAuthority?.closeAuthority ?? null,
+    pausable: e.pausableConfig ? { paused: !!e.pausableConfig.paused, authority: e.pausableConfig.authority ?? null } : null,
+    other: Object.keys(e).filter(k => !["transferFeeConfig","permanentDelegate","transferHook","nonTransferable","defaultAccountState","interestBearingConfig","mintCloseAuthority","pausableConfig"].includes(k))
+  };
+}
+
+// Token program instructions touching a mint's supply/tax. Discriminators per spl-token / spl-token-2022.
+const AUTHORITY_TYPES = ["MintTokens", "FreezeAccount", "AccountOwner", "CloseAccount", "TransferFeeConfig", "WithheldWithdraw", "CloseMint", "InterestRate", "PermanentDelegate"];
+function classifyTokenIx(ix, mint) {
+  if (ix.programId !== TOKEN_PROGRAM && ix.programId !== TOKEN_2022_PROGRAM) return null;
+  let d; try { d = b58decode(ix.data || ""); } catch { return null; }
+  const acc = ix.accounts || [];
+  switch (d[0]) {
+    case 7: case 14: return acc[0] === mint ? { kind: "mint", amount_raw: String(readU64LE(d, 1)) } : null;
+    case 8: case 15: return acc[1] === mint ? { kind: "burn", amount_raw: String(readU64LE(d, 1)) } : null;
+    case 6: return acc[0] === mint ? { kind: "set_authority", authority_type: AUTHORITY_TYPES[d[1]] ?? `type_${d[1]}`, revoked: d[2] === 0 } : null;
+    case 26: return acc[0] === mint && d[1] === 5 ? { kind: "fee_change", new_bps: d[2] | (d[3] << 8), new_max_fee_raw: String(readU64LE(d, 4)) } : null;
+    case 28: return acc[0] === mint && d[1] === 1 ? { kind: "default_state_change", frozen: d[2] === 2 } : null;
+    case 33: return acc[0] === mint && d[1] === 1 ? { kind: "interest_rate_change" } : null;
+    case 36: return acc[0] === mint && d[1] === 1 ? { kind: "transfer_hook_change" } : null;
+    default: return null;
+  }
+}
+
+async function supplyChangeEvents(mint, limit) {
+  const h = await fetchHistory(mint, { maxTxs: limit });
+  const events = [];
+  for (const it of h.txs) {
+    const ixs = (it.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])]);
+    for (const ix of ixs) {
+      const ev = classifyTokenIx(ix, mint);
+      if (ev) events.push({ ...ev, sig: it.signature, blockTime: txTime(it) || null });
+    }
+  }
+  return { events, scanned_txs: h.txs.length, truncated: h.truncated, coverage_from: h.coverage_from };
+}
+
+async function analyzeTokenomics(mint, options = {}) {
+  const maxFeeBps = options.max_fee_bps ?? 500;
+  const [acct, epochInfo, supply] = await Promise.all([getMintAccount(mint), rpc("getEpochInfo"), getMintSupply(mint)]);
+  const auth = authoritiesOf(acct); // one quorum read: authorities and extensions come from the same account state
+  const ext = decodeExtensions(acct.extensions, epochInfo.epoch);
+  const history = await supplyChangeEvents(mint, options.history_limit ?? 100);
+  const count = k => history.events.filter(e => e.kind === k).length;
+
+  const flags = [];
+  if (!auth.isMintRevoked) flags.push("mintable: mint authority active");
+  if (!auth.isFreezeRevoked) flags.push("freezable: freeze authority active");
+  if (ext.transfer_fee) {
+    const bps = Math.max(ext.transfer_fee.current_bps, ext.transfer_fee.next_bps ?? 0);
+    if (bps > maxFeeBps) flags.push(`transfer tax ${bps} bps above ${maxFeeBps}`);
+    if (ext.transfer_fee.config_authority) flags.push("transfer fee can be changed");
+  }
+  if (ext.permanent_delegate) flags.push("permanent delegate can move/burn any holder balance");
+  if (ext.transfer_hook?.program_id) flags.push("transfer hook program can block transfers");
+  if (ext.non_transferable) flags.push("non-transferable token");
+  if (ext.default_account_state === "frozen") flags.push("new accounts frozen by default");
+  if (ext.pausable) flags.push(ext.pausable.paused ? "transfers paused" : "transfers can be paused");
+  if (ext.mint_close_authority) flags.push("mint can be closed");
+  if (count("mint") > 0) flags.push("supply minted in recent history");
+  if (count("fee_change") > 0) flags.push("transfer fee changed in recent history");
+
+  return {
+    mint, program: acct.program, is_token_2022: auth.isToken2022, decimals: supply.decimals, supply: supply.ui,
+    authorities: { mint: auth.mintAuthority, freeze: auth.freezeAuthority, mint_revoked: auth.isMintRevoked, freeze_revoked: auth.isFreezeRevoked },
+    extensions: ext, epoch: epochInfo.epoch,
+    supply_changes: { mints: count("mint"), burns: count("burn"), fee_changes: count("fee_change"), authority_changes: count("set_authority"), scanned_txs: history.scanned_txs, truncated: history.truncated, coverage_from: history.coverage_from, events: history.events },
+    honeypot_risk: flags.some(f => /permanent delegate|transfer hook|non-transferable|frozen by default|paused|transfer tax/.test(f)),
+    flags
+  };
+}
+
+// ====== FEATURES/UTILITY (5., 6.)
+function blacklistCheck(address, blacklist=[]) { const set = new Set(blacklist); return { address, blacklisted: set.has(address) }; }
+
+// ====== REGISTRIES (VIP / blacklist / creators / lockers / burn / watched tokens), persisted as JSON
+const REGISTRY_KINDS = ["vip", "blacklist", "creators", "lockers", "burn", "watch_tokens"];
+const BURN_ADDRESSES = [
+  { address: "1nc1nerator11111111111111111111111111111111", label: "Incinerator" },
+  { address: SYSTEM_PROGRAM, label: "System program (unspendable)" }
+];
+const DEFAULT_REGISTRIES = {
+  lockers: { kind: "lockers", description: "LP lock programs and burn owners (used by metrics.lp_locked_percent)", entries: [
+    { address: "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m", label: "Streamflow" },
+    { address: "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn", label: "Jupiter Lock" },
+    { address: "LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE", label: "Raydium LP Lock" },
+    ...BURN_ADDRESSES
+  ] },
+  burn: { kind: "burn", description: "Burn / unspendable owners", entries: BURN_ADDRESSES },
+  vip: { kind: "vip", description: "Smart-money wallets (screen.token VIP rule; fill via advanced.discover_profit_wallets)", entries: [] }
+};
+
+const registries = new Map(); // name -> { kind, description, entries: Map(address -> { label, added_at }) }
+
+function loadRegistries() {
+  const now = Math.floor(Date.now()/1000);
+  const raw = existsSync(REGISTRY_PATH) ? JSON.parse(readFileSync(REGISTRY_PATH, "utf8")) : DEFAULT_REGISTRIES;
+  for (const [name, r] of Object.entries(raw)) {
+    registries.set(name, { kind: r.kind, description: r.description || "", entries: new Map(r.entries.map(e => [e.address, { label: e.label ?? null, added_at: e.added_at ?? now }])) });
+  }
+  if (!existsSync(REGISTRY_PATH)) saveRegistries();
+}
+
+function saveRegistries() {
+  const out = {};
+  for (const [name, r] of registries) out[name] = { kind: r.kind, description: r.description, entries: [...r.entries].map(([address, e]) => ({ address, ...e })) };
+  writeJsonAtomic(REGISTRY_PATH, out);
+}
+
+function writeJsonAtomic(path, obj) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(`${path}.tmp`, JSON.stringify(obj, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+function getRegistry(name) { const r = registries.get(name); if (!r) throw new Error(`unknown registry: ${name}`); return r; }
+
+// Tool inputs take an inline address array or a registry name of one of `kinds`
+function resolveList(x, kinds) {
+  if (Array.isArray(x)) return x;
+  const r = getRegistry(x), ok = [kinds].flat();
+  if (!ok.includes(r.kind)) throw new Error(`registry ${x} is ${r.kind}, expected ${ok.join(" or ")}`);
+  return [...r.entries.keys()];
+}
+
+function registrySummary(name) { const r = getRegistry(name); return { name, kind: r.kind, description: r.description, count: r.entries.size }; }
+function registryList() { return { registries: [...registries.keys()].map(registrySummary) }; }
+function registryGet(name) { const r = getRegistry(name); return { ...registrySummary(name), entries: [...r.entries].map(([address, e]) => ({ address, ...e })) }; }
+
+function registryCreate(name, kind, description = "") {
+  if (registries.has(name)) throw new Error(`registry exists: ${name}`);
+  registries.set(name, { kind, description, entries: new Map() });
+  saveRegistries();
+  return registrySummary(name);
+}
+
+function registryDelete(name) { getRegistry(name); registries.delete(name); saveRegistries(); return { deleted: name }; }
+
+function assertEntries(kind, entries) {
+  for (const e of entries) {
+    if (!e?.address) throw new Error("registry entry without address");
+    let bytes; try { bytes = b58decode(String(e.address)); } catch {}
+    if (bytes?.length !== 32) throw new Error(`invalid ${kind === "watch_tokens" ? "mint" : "address"}: ${e.address}`);
+  }
+}
+
+// Every entry is validated before any is applied, so one bad address leaves the registry untouched
+function registryAdd(name, entries /* [{address, label?}] */, { replace = false } = {}) {
+  const r = getRegistry(name); const now = Math.floor(Date.now()/1000);
+  assertEntries(r.kind, entries);
+  const prev = r.entries, next = replace ? new Map() : new Map(prev); let added = 0;
+  for (const e of entries) {
+    if (!prev.has(e.address) && !next.has(e.address)) added++;
+    const old = next.get(e.address) ?? prev.get(e.address);
+    next.set(e.address, { label: e.label ?? old?.label ?? null, added_at: old?.added_at ?? now });
+  }
+  r.entries = next;
+  saveRegistries();
+  return { ...registrySummary(name), added, ...(replace ? { removed: [...prev.keys()].filter(a => !next.has(a)).length } : {}) };
+}
+
+function registryRemove(name, addresses) {
+  const r = getRegistry(name); let removed = 0;
+  for (const a of addresses) if (r.entries.delete(a)) removed++;
+  saveRegistries();
+  return { ...registrySummary(name), removed };
+}
+
+// CSV: address[,label] per line, optional "address,label" header
+function parseRegistryCsv(text) {
+  return text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !/^address\s*(,|$)/i.test(l)).map(l => {
+    const i = l.indexOf(","); const address = (i < 0 ? l : l.slice(0, i)).trim();
+    const label = i < 0 ? null : l.slice(i + 1).trim().replace(/^"(.*)"$/, "$1").replace(/""/g, '"') || null;
+    return { address, label };
+  });
+}
+
+function registryImport(name, format, data, { kind = null, mode = "merge" } = {}) {
+  const entries = format === "csv" ? parseRegistryCsv(data) : (() => { const j = JSON.parse(data); return (Array.isArray(j) ? j : j.entries || []).map(e => typeof e === "string" ? { address: e } : e); })();
+  if (!registries.has(name)) {
+    if (!kind) throw new Error(`registry ${name} does not exist: pass kind to create it`);
+    assertEntries(kind, entries);
+    registryCreate(name, kind);
+  } else if (kind && getRegistry(name).kind !== kind) throw new Error(`registry ${name} is ${getRegistry(name).kind}, not ${kind}`);
+  return registryAdd(name, entries, { replace: mode === "replace" });
+}
+
+function registryExport(name, format = "json") {
+  const r = registryGet(name);
+  if (format === "json") return { name, format, data: JSON.stringify(r, null, 2) };
+  const csvCell = v => v == null ? "" : /[",]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return { name, format, data: ["address,label", ...r.entries.map(e => `${e.address},${csvCell(e.label)}`)].join("\n") };
+}
+
+loadRegistries();
+
+// ====== HOLDER HISTORY (periodic owner-level snapshots of watched mints, distribution over time)
+// Snapshots keep the largest HOLDER_SNAPSHOT_OWNERS owners; churn beyond that set is approximate.
+const holderDb = lazyLMDB(HOLDERS_PATH, ["snapshots"]); // snapshots: [mint, ts] -> snapshot
+
+async function takeHolderSnapshot(mint, { pools = [] } = {}) {
+  assertPubkey(mint);
+  const bal = await holderBalances(mint);
+  const h = await topHolders(mint, HOLDER_FRESH_TOP, { pools, freshHours: HOLDER_FRESH_HOURS, balances: bal });
+  const excluded = new Set(h.excluded.map(x => x.owner));
+  const owners = [...bal.owners].filter(([o]) => !excluded.has(o)).map(([o, x]) => [o, x.amount]).sort((a, b) => b[1] - a[1]);
+  const snap = {
+    ts: Math.floor(Date.now()/1000), supply: h.supply, circulating: h.circulating, holders: h.holders,
+    top1_pct: h.concentration_top1_pct, top10_pct: h.concentration_top10_pct, gini: h.gini, hhi: h.hhi,
+    fresh_hours: HOLDER_FRESH_HOURS, fresh_pct_of_supply: h.fresh.fresh_pct_of_supply, fresh_wallets: h.fresh.fresh_wallets,
+    owners: owners.slice(0, HOLDER_SNAPSHOT_OWNERS), owners_truncated: owners.length > HOLDER_SNAPSHOT_OWNERS
+  };
+  await holderDb().snapshots.put([mint, snap.ts], snap);
+  return snap;
+}
+
+function lastHolderSnapshot(mint) {
+  for (const { value } of holderDb({ ifExists: true })?.snapshots.getRange({ start: [mint, Number.MAX_SAFE_INTEGER], end: [mint, 0], reverse: true, limit: 1 }) ?? []) return value;
+  return null;
+}
+
+// Owners entering / leaving between consecutive snapshots
+function holderChurn(prev, cur) {
+  const a = new Set(prev.owners.map(([o]) => o)), b = new Set(cur.owners.map(([o]) => o));
+  let entered = 0, exited = 0;
+  for (const o of b) if (!a.has(o)) entered++;
+  for (const o of a) if (!b.has(o)) exited++;
+  return { ts: cur.ts, entered, exited, churn_pct: a.size ? ((entered + exited) / a.size) * 100 : null, approximate: prev.owners_truncated || cur.owners_truncated };
+}
+
+async function holderHistory(mint, { sinceHours = 168, windowsHours = [1, 6, 24], snapshotNow = false, pools = [] } = {}) {
+  assertPubkey(mint);
+  if (snapshotNow) await takeHolderSnapshot(mint, { pools });
+  const since = Math.floor(Date.now()/1000) - sinceHours * 3600;
+  const snaps = [...holderDb({ ifExists: true })?.snapshots.getRange({ start: [mint, since], end: [mint, Number.MAX_SAFE_INTEGER] }) ?? []].map(x => x.value);
+  const series = snaps.map(({ owners, owners_truncated, ...s }) => s);
+  const churn = snaps.slice(1).map((s, i) => holderChurn(snaps[i], s));
+  const last = snaps[snaps.length - 1];
+  const growth = {};
+  for (const w of windowsHours) {
+    const base = last && [...snaps].reverse().find(s => s.ts <= last.ts - w * 3600);
+    growth[`${w}h`] = base ? { from_ts: base.ts, holders_from: base.holders, holders_to: last.holders, delta: last.holders - base.holders, pct: base.holders ? ((last.holders - base.holders) / base.holders) * 100 : null } : null;
+  }
+  return { mint, snapshots: series.length, series, growth, churn };
+}
+
+// Mints in every watch_tokens registry get a snapshot each HOLDER_SNAPSHOT_INTERVAL_S
+let holderSnapBusy = false;
+async function holderSnapshotTick() {
+  if (holderSnapBusy) return;
+  holderSnapBusy = true;
+  try {
+    const now = Math.floor(Date.now()/1000);
+    const mints = new Set([...registries.values()].filter(r => r.kind === "watch_tokens").flatMap(r => [...r.entries.keys()]));
+    for (const mint of mints) {
+      if (now - (lastHolderSnapshot(mint)?.ts ?? 0) < HOLDER_SNAPSHOT_INTERVAL_S) continue;
+      if (limiterBacklogged()) break;
+      await inBackground(() => takeHolderSnapshot(mint)).catch(e => console.error(`holder snapshot ${mint} failed:`, e.message));
+    }
+  } finally { holderSnapBusy = false; }
+}
+
+function startHolderSnapshots() {
+  if (HOLDER_SNAPSHOT_INTERVAL_S > 0) setInterval(() => { holderSnapshotTick().catch(() => {}); }, 60_000).unref();
+}
+
+// ====== SCREENING (one-call pipeline: run the filters concurrently, map into scoreToken under a named profile)
+const DEFAULT_PROFILES = {
+  default: { description: "Fresh launch screen", thresholds: { lpProvidersMin: 20, lpLockedMinPct: 80, maxTop1Pct: 10, maxTop10Pct: 40, minTraders24h: 50, maxAgeDays: 0.25, minCreatorScore: 50 }, weights: SCORE_WEIGHTS, lockers: "lockers", vip: "vip" },
+  strict: { description: "Tighter distribution and lock requirements", thresholds: { lpProvidersMin: 50, lpLockedMinPct: 95, maxTop1Pct: 5, maxTop10Pct: 25, minTraders24h: 150, maxAgeDays: 1, minCreatorScore: 70 }, weights: { ...SCORE_WEIGHTS, lpLocked: 3, holdersDist: 3 }, lockers: "lockers", vip: "vip" }
+};
+
+const profiles = new Map(); // name -> { description, thresholds, weights, lockers, vip }
+
+function loadProfiles() {
+  const raw = existsSync(PROFILES_PATH) ? JSON.parse(readFileSync(PROFILES_PATH, "utf8")) : DEFAULT_PROFILES;
+  for (const [name, p] of Object.entries(raw)) profiles.set(name, p);
+  if (!existsSync(PROFILES_PATH)) saveProfiles();
+}
+
+function saveProfiles() { writeJsonAtomic(PROFILES_PATH, Object.fromEntries(profiles)); }
+
+function getProfile(name) { const p = profiles.get(name); if (!p) throw new Error(`unknown profile: ${name}`); return p; }
+
+// Unset fields fall back to the default profile, then to the scoreToken defaults
+function resolveProfile(name, overrides = {}) {
+  const base = profiles.get("default") || DEFAULT_PROFILES.default; const p = getProfile(name);
+  return {
+    name, description: p.description || "",
+    thresholds: { ...base.thresholds, ...p.thresholds, ...overrides.thresholds },
+    weights: { ...SCORE_WEIGHTS, ...base.weights, ...p.weights, ...overrides.weights },
+    lockers: overrides.lockers ?? p.lockers ?? base.lockers, vip: overrides.vip ?? p.vip ?? base.vip
+  };
+}
+
+function profileList() { return { profiles: [...profiles.keys()].map(name => resolveProfile(name)) }; }
+
+function profileSet(name, patch) {
+  const prev = profiles.get(name) || {};
+  const next = { ...prev, ...patch, thresholds: { ...prev.thresholds, ...patch.thresholds }, weights: { ...prev.weights, ...patch.weights } };
+  for (const k of Object.keys(next)) if (next[k] === undefined) delete next[k];
+  profiles.set(name, next); saveProfiles();
+  return resolveProfile(name);
+}
+
+function profileDelete(name) {
+  if (name === "default") throw new Error("the default profile can be edited but not deleted");
+  getProfile(name); profiles.delete(name); saveProfiles(); return { deleted: name };
+}
+
+// Points available to scoreToken(inputs): rules skipped by `when` don't count
+function scoreCeiling(inputs) { const w = inputs.weights || SCORE_WEIGHTS; return SCORE_RULES.filter(r => !r.when || r.when(inputs)).reduce((s, r) => s + r.points * (w[r.weight] ?? 1), 0); }
+
+function coverageNote(name, m) { return m?.truncated ? `${name}: history truncated, covers from ${new Date(m.coverage_from * 1000).toISOString()}` : null; }
+
+// All upstream calls go through the rate-limited pools, so firing the metrics together only fills their queues.
+// A metric that fails or can't run (no pool, no LP mint, no supply for FDV/MC) is reported under `missing`
+// and its scoreToken rule fails, so gaps lower the score instead of passing silently. An empty VIP list is
+// reported too, but skips the VIP rule: there is nothing to look for.
+async function screenToken(mint, { pool = null, profile = "default", overrides = {}, creator = false, record = false } = {}) {
+  assertPubkey(mint);
+  const prof = resolveProfile(profile, overrides);
+  const warnings = [];
+  const list = (x, kind) => { try { return resolveList(x, kind); } catch (e) { warnings.push(e.message); return []; } };
+  const lockers = list(prof.lockers, ["lockers", "burn"]), vipList = list(prof.vip, "vip");
+  const info = pool ? await resolvePool(pool) : null;
+  if (info && info.base_mint !== mint) warnings.push(`pool ${pool} trades ${info.base_mint}, not ${mint}`);
+  const lpMint = info?.lp_mint ?? null;
+  const noLp = !pool ? "no pool given" : `${info.dex} pool has no LP mint`;
+  const scan = [pool || mint];
+  const skip = reason => Promise.reject(new Error(reason));
+
+  const jobs = {
+    holders: topHolders(mint, 20, { pools: pool ? [pool] : [] }),
+    lp_providers: lpMint ? lpProvidersCount(lpMint) : skip(noLp),
+    lp_locked: lpMint ? lpLockedPercent(lpMint, lockers) : skip(noLp),
+    activity_24h: tradersTradesVolume24h(scan, mint),
+    vip: vipList.length ? vipWalletsPresence(vipList, scan) : skip("VIP list is empty"),
+    revival: revivalDetector(scan),
+    age: tokenAgeDays(mint),
+    authorities: mintAuthorities(mint),
+    price: pool ? priceAndFDVFromReserves(mint, { pool }) : skip("no pool given"),
+    ...(creator ? { creator: creatorProfile(mint) } : {})
+  };
+  const names = Object.keys(jobs);
+  const settled = await Promise.allSettled(Object.values(jobs));
+  const metrics = {}, missing = {};
+  settled.forEach((r, i) => { if (r.status === "fulfilled") metrics[names[i]] = r.value; else missing[names[i]] = r.reason?.message || String(r.reason); });
+  for (const n of ["activity_24h", "vip", "revival"]) { const note = coverageNote(n, metrics[n]); if (note) warnings.push(note); }
+  if (metrics.age?.truncated) warnings.push(`age: signature walk stopped after ${TOKEN_AGE_MAX_PAGES} pages, token is at least ${metrics.age.days?.toFixed(2)} days old`);
+
+  // Circulating = supply minus burned holdings (pool vaults still count as circulating here)
+  const h = metrics.holders;
+  const burned = (h?.excluded || []).filter(x => x.reason === "burn").reduce((s, x) => s + x.amount, 0);
+  const circulating = h ? h.supply - burned : null;
+  const fdvToMc = circulating > 0 ? h.supply / circulating : null;
+  if (metrics.price?.price_usd != null && h) metrics.fdv_mcap = fdvToMcap(metrics.price.price_usd, h.supply, circulating);
+
+  const a = metrics.activity_24h;
+  const inputs = {
+    ...prof.thresholds, weights: prof.weights,
+    lpProviders: metrics.lp_providers?.holders, lpLockedPct: metrics.lp_locked?.locked_pct,
+    concentrationTop1Pct: h?.concentration_top1_pct, concentrationTop10Pct: h?.concentration_top10_pct,
+    activity24h: { traders: a?.unique_traders_24h ?? 0, trades: a?.total_trades_24h ?? 0, volume: a?.total_volume_usd_24h ?? 0 },
+    vipHits: metrics.vip?.vip_count ?? 0, vipListSize: vipList.length, revivalActive: !!metrics.revival?.revival_active,
+    tokenAgeDays: metrics.age?.days ?? undefined, fdvToMc, creatorScore: metrics.creator?.creator_score
+  };
+  const { score, reasons } = scoreToken(inputs);
+
+  const au = metrics.authorities; const risk_flags = [];
+  if (au && !au.isMintRevoked) risk_flags.push("mint authority not revoked");
+  if (au && !au.isFreezeRevoked) risk_flags.push("freeze authority not revoked");
+  for (const x of au?.riskExtensions || []) risk_flags.push(`Token-2022 extension: ${x}`);
+
+  const max_score = scoreCeiling(inputs);
+  const out = {
+    mint, pool, dex: info?.dex ?? null, profile: prof,
+    score, max_score, score_pct: max_score ? (score / max_score) * 100 : null, reasons, risk_flags,
+    inputs, metrics, missing, warnings
+  };
+  if (record) out.backtest = await recordScreen(out, info).catch(e => ({ recorded: false, reason: e.message }));
+  return out;
+}
+
+loadProfiles();
+
+// ====== BACKTEST (screened tokens + later outcomes, replayed through scoreToken under any profile)
+// A record keeps the measured half of screen.token's inputs (thresholds and weights are applied at backtest time),
+// the pool price at screening and outcomes at +1h/+24h: price multiple in the quote asset and quote-reserve drop.
+// Replays skip the rules whose metric the record lists as missing: their recorded inputs are placeholders, not data.
+// Rugged = pool closed, or quote reserve or price down BACKTEST_RUG_DROP_PCT%; it sticks once seen. A completed
+// bonding curve (migrated) has no price left to follow and counts as a winner.
+const backtestDb = lazyLMDB(BACKTEST_PATH, ["records", "by_mint"]); // records: [ts, mint] -> record · by_mint: mint -> ts of its newest record
+const OUTCOME_HORIZONS = { h1: 3600, h24: 86400 };
+const FEATURE_KEYS = ["lpProviders", "lpLockedPct", "concentrationTop1Pct", "concentrationTop10Pct", "activity24h", "vipHits", "revivalActive", "tokenAgeDays", "fdvToMc", "creatorScore"];
+
+// Pooled screens only (outcomes follow the pool price); one record per mint per BACKTEST_DEDUP_S
+async function recordScreen(res, info) {
+  if (!info) return { recorded: false, reason: "no pool given: outcomes follow the pool price" };
+  if (!(info.price_in_quote > 0)) return { recorded: false, reason: "pool has no price" };
+  const db = backtestDb(), ts = Math.floor(Date.now()/1000), last = db.by_mint.get(res.mint);
+  if (last != null && ts - last < BACKTEST_DEDUP_S) return { recorded: false, reason: `recorded ${ts - last}s ago` };
+  const rec = {
+    ts, mint: res.mint, pool: res.pool, dex: res.dex, cluster: currentCluster(), profile: res.profile.name, score: res.score, score_pct: res.score_pct,
+    features: Object.fromEntries(FEATURE_KEYS.filter(k => res.inputs[k] !== undefined).map(k => [k, res.inputs[k]])), missing: Object.keys(res.missing),
+    mark: { price_quote: info.price_in_quote, price_usd: res.metrics.price?.price_usd ?? null, pool_quote: info.quote_reserve, quote_symbol: info.quote_symbol },
+    outcomes: {}, rugged: false, resolved: false
+  };
+  await db.root.transaction(() => { db.records.put([ts, res.mint], rec); db.by_mint.put(res.mint, ts); });
+  return { recorded: true, ts };
+}
+
+// Fills the given horizons from the pool now. A horizon more than its own length overdue (server was down) is `missed`.
+async function measureOutcome(rec, horizons, now) {
+  const live = horizons.filter(h => now - rec.ts - OUTCOME_HORIZONS[h] <= OUTCOME_HORIZONS[h]);
+  for (const h of horizons) if (!live.includes(h)) rec.outcomes[h] = { missed: true, lag_s: now - rec.ts - OUTCOME_HORIZONS[h] };
+  if (live.length) {
+    let p = null, closed = false;
+    try { p = await resolvePool(rec.pool); } catch (e) { if (!/account not found/.test(e.message)) throw e; closed = true; }
+    let quote_usd = null; if (p) try { quote_usd = await quoteUsd(p.quote_mint); } catch {}
+    const migrated = !!p?.complete;
+    const multiple = p && !migrated ? p.price_in_quote / rec.mark.price_quote : null;
+    const quote_drop_pct = p && !migrated && rec.mark.pool_quote > 0 ? (1 - p.quote_reserve / rec.mark.pool_quote) * 100 : null;
+    if (closed || (quote_drop_pct ?? 0) >= BACKTEST_RUG_DROP_PCT || (multiple != null && multiple <= 1 - BACKTEST_RUG_DROP_PCT / 100)) rec.rugged = true;
+    for (const h of live) rec.outcomes[h] = {
+      at: now, lag_s: now - rec.ts - OUTCOME_HORIZONS[h], price_quote: p && !migrated ? p.price_in_quote : null,
+      price_usd: p && !migrated && quote_usd != null ? p.price_in_quote * quote_usd : null, multiple, quote_drop_pct, migrated, closed, rugged: rec.rugged
+    };
+  }
+  rec.resolved = Object.keys(OUTCOME_HORIZONS).every(h => rec.outcomes[h]);
+}
+
+let backtestBusy = false;
+async function backtestTick() {
+  const db = backtestDb({ ifExists: true });
+  if (backtestBusy || !db) return;
+  backtestBusy = true;
+  try {
+    const now = Math.floor(Date.now()/1000);
+    for (const { key, value: rec } of db.records.getRange({ start: [now - 2 * OUTCOME_HORIZONS.h24 - BACKTEST_TICK_S] })) {
+      const due = Object.keys(OUTCOME_HORIZONS).filter(h => !rec.outcomes[h] && now >= rec.ts + OUTCOME_HORIZONS[h]);
+      if (rec.resolved || !due.length) continue;
+      if (limiterBacklogged()) break;
+      try {
+        await inBackground(() => withCluster(rec.cluster, () => measureOutcome(rec, due, now)));
+        await db.records.put(key, rec);
+      } catch (e) { console.error(`backtest outcome ${rec.mint} failed:`, e.message); }
+    }
+  } finally { backtestBusy = false; }
+}
+
+function startBacktest() {
+  if (BACKTEST_TICK_S > 0) setInterval(() => { backtestTick().catch(() => {}); }, BACKTEST_TICK_S * 1000).unref();
+}
+
+// 1 = winner (migrated, or multiple >= minMultiple without a rug), 0 = loser, null = horizon not measured yet
+function outcomeLabel(rec, horizon, minMultiple) {
+  const o = rec.outcomes[horizon];
+  if (!o || o.missed) return null;
+  if (o.rugged) return 0;
+  return o.migrated || (o.multiple ?? 0) >= minMultiple ? 1 : 0;
+}
+
+function datasetRows({ horizon = "h24", minMultiple = 2, sinceDays = null } = {}) {
+  const since = sinceDays ? Math.floor(Date.now()/1000) - sinceDays * 86400 : 0;
+  const rows = [];
+  for (const { value: rec } of backtestDb({ ifExists: true })?.records.getRange({ start: [since] }) ?? []) if (rec.cluster === currentCluster()) rows.push({ rec, label: outcomeLabel(rec, horizon, minMultiple) });
+  return rows;
+}
+
+// Score % of a row under weights `w`, optionally without one rule (rules = scoreToken's pass/fail map)
+function rowPct(rules, w, without = null) {
+  let score = 0, ceiling = 0;
+  for (const r of SCORE_RULES) {
+    if (!(r.id in rules) || r.id === without) continue;
+    const pts = r.points * (w[r.weight] ?? 1); ceiling += pts; if (rules[r.id]) score += pts;
+  }
+  return ceiling ? (score / ceiling) * 100 : 0;
+}
+
+// Mann-Whitney AUC (ties count half); null without both classes
+function auc(pairs /* [pct, label] */) {
+  const pos = pairs.filter(p => p[1]).length, neg = pairs.length - pos;
+  if (!pos || !neg) return null;
+  const sorted = [...pairs].sort((a, b) => a[0] - b[0]); let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i; while (j < sorted.length && sorted[j][0] === sorted[i][0]) j++;
+    const avgRank = (i + j + 1) / 2; for (let k = i; k < j; k++) if (sorted[k][1]) rankSum += avgRank;
+    i = j;
+  }
+  return (rankSum - pos * (pos + 1) / 2) / (pos * neg);
+}
+
+function confusion(pairs, passPct) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  for (const [pct, label] of pairs) { if (pct >= passPct) label ? tp++ : fp++; else label ? fn++ : tn++; }
+  const precision = tp + fp ? tp / (tp + fp) : null, recall = tp + fn ? tp / (tp + fn) : null;
+  return { pass_pct: passPct, tp, fp, tn, fn, precision, recall, f1: precision && recall ? 2 * precision * recall / (precision + recall) : 0, accuracy: pairs.length ? (tp + tn) / pairs.length : null };
+}
+
+// ROC at integer score-% thresholds (only where the operating point moves)
+function rocCurve(pairs) {
+  const pos = pairs.filter(p => p[1]).length, neg = pairs.length - pos, out = [];
+  for (let t = 100; t >= 0; t--) {
+    const c = confusion(pairs, t), pt = { threshold_pct: t, tpr: pos ? c.tp / pos : null, fpr: neg ? c.fp / neg : null };
+    if (!out.length || out[out.length - 1].tpr !== pt.tpr || out[out.length - 1].fpr !== pt.fpr) out.push(pt);
+  }
+  return out;
+}
+
+const bestPassPct = (pairs) => Array.from({ length: 101 }, (_, t) => confusion(pairs, t)).sort((a, b) => b.f1 - a.f1 || b.pass_pct - a.pass_pct)[0];
+
+// Coordinate ascent over SCORE_WEIGHTS keys on a small grid, maximizing AUC on the older 70% of the
+// labelled rows; the newer 30% is held out so the suggestion can be checked against data it never saw.
+const WEIGHT_GRID = [0, 0.5, 1, 2, 3, 5];
+function optimizeWeights(rows, weights) {
+  const byTime = [...rows].sort((a, b) => a.rec.ts - b.rec.ts);
+  const cut = byTime.length >= 20 ? Math.floor(byTime.length * 0.7) : byTime.length;
+  const train = byTime.slice(0, cut), test = byTime.slice(cut);
+  const aucOf = (set, w) => auc(set.map(r => [rowPct(r.rules, w), r.label]));
+  const start = aucOf(train, weights);
+  if (start == null) return { suggested: null, note: "training rows need both winners and losers" };
+  let best = { ...weights }, bestAuc = start, rounds = 0;
+  for (let improved = true; improved && rounds < 5; rounds++) {
+    improved = false;
+    for (const k of Object.keys(SCORE_WEIGHTS)) for (const v of WEIGHT_GRID) {
+      if (v === best[k]) continue;
+      const cand = { ...best, [k]: v }, a = aucOf(train, cand);
+      if (a != null && a > bestAuc + 1e-9) { best = cand; bestAuc = a; improved = true; }
+    }
+  }
+  const pass = bestPassPct(train.map(r => [rowPct(r.rules, best), r.label]));
+  return {
+    suggested: { weights: best, pass_pct: pass.pass_pct }, rounds,
+    train: { rows: train.length, auc_before: start, auc_after: bestAuc },
+    test: test.length ? { rows: test.length, auc_before: aucOf(test, weights), auc_after: aucOf(test, best), ...confusion(test.map(r => [rowPct(r.rules, best), r.label]), pass.pass_pct) } : null,
+    note: test.length ? null : "fewer than 20 labelled rows: no holdout, expect overfitting"
+  };
+}
+
+function runBacktest({ profile = "default", overrides = {}, horizon = "h24", minMultiple = 2, passPct = 60, sinceDays = null, optimize = false } = {}) {
+  const prof = resolveProfile(profile, overrides);
+  const all = datasetRows({ horizon, minMultiple, sinceDays });
+  const rows = all.filter(r => r.label != null).map(r => ({ ...r, rules: scoreToken({ ...prof.thresholds, weights: prof.weights, ...r.rec.features }, { skip: r.rec.missing || [] }).rules }));
+  const pairs = rows.map(r => [rowPct(r.rules, prof.weights), r.label]);
+  // unlabelled: still pending, or unmeasured (the horizon passed while the tick wasn't running)
+  const now = Math.floor(Date.now()/1000), unlabelled = all.filter(r => r.label == null);
+  const winners = rows.filter(r => r.label).length, base = rows.length ? winners / rows.length : null;
+  const a = auc(pairs);
+  const rules = SCORE_RULES.map(rule => {
+    const seen = rows.filter(r => rule.id in r.rules), passed = seen.filter(r => r.rules[rule.id]), failed = seen.filter(r => !r.rules[rule.id]);
+    const rate = (xs, f) => xs.length ? xs.filter(f).length / xs.length : null;
+    const winWhenPassed = rate(passed, r => r.label);
+    const without = a != null ? auc(rows.map(r => [rowPct(r.rules, prof.weights, rule.id), r.label])) : null;
+    return {
+      id: rule.id, weight: rule.weight, max_points: rule.points * (prof.weights[rule.weight] ?? 1), evaluated: seen.length,
+      pass_rate_winners: rate(seen.filter(r => r.label), r => r.rules[rule.id]), pass_rate_losers: rate(seen.filter(r => !r.label), r => r.rules[rule.id]),
+      win_rate_when_passed: winWhenPassed, win_rate_when_failed: rate(failed, r => r.label),
+      lift: winWhenPassed != null && base ? winWhenPassed / base : null, auc_drop_without: a != null && without != null ? a - without : null
+    };
+  });
+  return {
+    profile: prof.name, thresholds: prof.thresholds, weights: prof.weights, horizon, min_multiple: minMultiple, cluster: currentCluster(),
+    dataset: { records: all.length, labelled: rows.length, pending: unlabelled.filter(r => r.rec.ts + 2 * OUTCOME_HORIZONS[horizon] > now).length, unmeasured: unlabelled.filter(r => r.rec.ts + 2 * OUTCOME_HORIZONS[horizon] <= now).length, winners, losers: rows.length - winners, rugged: rows.filter(r => r.rec.rugged).length, base_rate: base },
+    metrics: { auc: a, ...confusion(pairs, passPct), best_f1: rows.length ? bestPassPct(pairs) : null },
+    roc: rocCurve(pairs), rules,
+    optimizer: optimize ? optimizeWeights(rows, prof.weights) : null
+  };
+}
+
+function datasetSummary({ mint = null, limit = 20 } = {}) {
+  const db = backtestDb({ ifExists: true }), recs = []; let resolved = 0, rugged = 0;
+  for (const { value: rec } of db?.records.getRange({ reverse: true }) ?? []) {
+    if (rec.cluster !== currentCluster() || (mint && rec.mint !== mint)) continue;
+    if (rec.resolved) resolved++; if (rec.rugged) rugged++;
+    if (recs.length < limit) recs.push(rec);
+  }
+  const total = mint ? null : db?.records.getCount() ?? 0;
+  return { path: BACKTEST_PATH, cluster: currentCluster(), records_all_clusters: total, matching: { resolved, rugged }, recent: recs };
+}
+
+// Smart-money discovery over the dataset's recent winners ("successful hunts")
+async function mlSuggestWallets({ horizon = "h24", minMultiple = 2, maxTokens = 20, earlyMinutes = 30, minHits = 2, limit = 50 } = {}) {
+  const now = Math.floor(Date.now()/1000);
+  const winners = datasetRows({ horizon, minMultiple }).filter(r => r.label === 1).map(r => r.rec).sort((a, b) => b.ts - a.ts).slice(0, maxTokens);
+  if (!winners.length) return { winners: [], candidates: [], vip_addresses: [], note: `no ${horizon} winners (>= ${minMultiple}x) in the backtest dataset yet` };
+  // look back to the token's launch (age at screening) so the earliest buys are in range
+  const tokens = winners.map(r => ({ mint: r.mint, pools: [r.pool], lookback_hours: (now - r.ts + (r.features.tokenAgeDays ?? 1) * 86400) / 3600 + 1 }));
+  const out = await discoverNewProfitWallets(tokens, { earlyMinutes, minHits, limit });
+  return { winners: winners.map(r => ({ mint: r.mint, pool: r.pool, screened_at: r.ts, multiple: r.outcomes[horizon]?.multiple ?? null, migrated: !!r.outcomes[horizon]?.migrated })), ...out };
+}
+
+// ====== ALERTS (persisted watch rules over read-only tools, evaluated in the background)
+// A rule runs `tool` with `target` as its arguments every `interval_s`, reads `condition.path` from the
+// result and fires when the condition holds. Level conditions (gt/gte/lt/lte/eq/neq/truthy/nonempty) fire on
+// the rising edge only (again every `repeat_s` while still true, if set); `changed` fires on each new value;
+// `new_items` fires once per unseen array item. The first evaluation of changed/new_items only records a baseline.
+// Each evaluation is a tool call charged to the owning key's quota: a rule whose key is out of calls waits for the
+// window to reset, and a key's interval floor keeps one rule from spending its whole daily quota.
+const ALERT_OPS = ["gt", "gte", "lt", "lte", "eq", "neq", "truthy", "nonempty", "changed", "new_items"];
+const ALERT_TOOL_PREFIXES = ["metrics.", "filters.", "screen.token", "advanced.tokenomics_analyze"];
+const ALERT_DEFAULT_CONDITIONS = {
+  "filters.dev_behavior": { path: "suspicious", op: "new_items" },
+  "filters.revival_detector": { path: "multiplier", op: "gt", value: 3 },
+  "metrics.top_holders": { path: "concentration_top10_pct", op: "gt", value: 50 },
+  "metrics.mint_authorities": { path: "mintAuthority", op: "changed" }
+};
+// Forced onto watched calls: a rule rescreening one mint every interval would flood the backtest dataset with it
+const ALERT_FORCED_ARGS = { "screen.token": { record: false } };
+const ALERT_SEEN_MAX = 1000;
+
+const alertRules = new Map(); // id -> rule (config + evaluation state)
+let alertHistory = [];
+const alertSinks = []; // (event, rule) => void — MCP logging and the SSE feed register here
+
+function loadAlerts() {
+  if (!existsSync(ALERTS_PATH)) return;
+  const raw = JSON.parse(readFileSync(ALERTS_PATH, "utf8"));
+  for (const r of raw.rules || []) alertRules.set(r.id, r);
+  alertHistory = raw.history || [];
+}
+
+function saveAlerts() { writeJsonAtomic(ALERTS_PATH, { rules: [...alertRules.values()], history: alertHistory }); }
+
+function alertTool(name) {
+  const t = TOOLS.find(x => x.name === name);
+  if (!t || !ALERT_TOOL_PREFIXES.some(p => name.startsWith(p))) throw new Error(`tool can't be watched: ${name}`);
+  return t;
+}
+
+function pluck(obj, path) { return path ? String(path).split(".").reduce((o, k) => o?.[k], obj) : obj; }
+
+const itemKey = (x) => x && typeof x === "object" ? String(x.sig ?? x.signature ?? x.address ?? x.owner ?? JSON.stringify(x)) : String(x);
+
+function checkCondition(cond, value) {
+  switch (cond.op) {
+    case "gt": return Number(value) > cond.value;
+    case "gte": return Number(value) >= cond.value;
+    case "lt": return Number(value) < cond.value;
+    case "lte": return Number(value) <= cond.value;
+    case "eq": return JSON.stringify(value) === JSON.stringify(cond.value);
+    case "neq": return JSON.stringify(value) !== JSON.stringify(cond.value);
+    case "truthy": return !!value;
+    case "nonempty": return Array.isArray(value) ? value.length > 0 : value != null && value !== "";
+  }
+}
+
+function ownRule(id, owner) {
+  const r = alertRules.get(id);
+  if (!r || r.owner !== owner) throw new Error(`unknown alert: ${id}`);
+  return r;
+}
+
+const alertView = ({ seen, ...r }) => ({ ...r, seen_items: seen.length });
+
+// Rules run as their owner (an MCP_API_KEYS name); null = open mode
+const ownerKey = (owner) => owner == null ? null : [...API_KEYS.values()].find(p => p.name === owner) ?? null;
+const minIntervalFor = (p) => Math.max(ALERTS_MIN_INTERVAL_S, p?.perDay ? Math.ceil(86400 / p.perDay) : 0);
+
+function alertsCreate({ tool, target, condition, interval_s, repeat_s = 0, webhook = null, label = null }, principal = null) {
+  const owner = principal?.name ?? null;
+  if (principal && [...alertRules.values()].filter(r => r.owner === owner).length >= ALERTS_MAX_RULES) throw new Error(`alert rule limit reached for key ${owner}: ${ALERTS_MAX_RULES}`);
+  const t = alertTool(tool);
+  t.schema.parse(target); // reject bad targets now, not on the first tick
+  const cond = condition || ALERT_DEFAULT_CONDITIONS[tool];
+  if (!cond) throw new Error(`condition required for ${tool}`);
+  if (["gt", "gte", "lt", "lte"].includes(cond.op) && typeof cond.value !== "number") throw new Error(`condition ${cond.op} needs a numeric value`);
+  if (webhook) assertWebhookUrl(webhook);
+  const rule = {
+    id: randomUUID(), label, tool, target, condition: cond, interval_s: Math.max(minIntervalFor(principal), interval_s), repeat_s, webhook, owner,
+    created_at: Math.floor(Date.now()/1000), last_run: null, last_error: null, runs: 0, last_value: null, matching: false, last_fired: null, fired: 0, seen: []
+  };
+  alertRules.set(rule.id, rule); saveAlerts();
+  return alertView(rule);
+}
+
+function alertsList(owner = null) { return { rules: [...alertRules.values()].filter(r => r.owner === owner).map(alertView) }; }
+
+function alertsDelete(id, owner = null) { ownRule(id, owner); alertRules.delete(id); saveAlerts(); return { deleted: id }; }
+
+function alertsHistory({ id = null, limit = 50 } = {}, owner = null) {
+  const rows = alertHistory.filter(e => e.owner === owner && (!id || e.rule_id === id));
+  return { events: rows.slice(-limit).reverse(), total: rows.length };
+}
+
+// Any caller can register a webhook and the server POSTs to it, so without ALERTS_WEBHOOK_ALLOW only https to
+// public addresses goes out: loopback, private, link-local (cloud metadata) and other non-routable ranges are refused
+// as literal IPs here and as resolved addresses at connect time (publicLookup), so DNS can't point a name inward.
+const PRIVATE_NETS = new BlockList();
+for (const [net, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]]) PRIVATE_NETS.addSubnet(net, bits, "ipv4");
+for (const [net, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) PRIVATE_NETS.addSubnet(net, bits, "ipv6");
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const isPrivateAddress = (ip) => PRIVATE_NETS.check(ip, isIP(ip) === 6 ? "ipv6" : "ipv4");
+
+// -> { url, allowlisted }
+function assertWebhookUrl(url) {
+  let u; try { u = new URL(url); } catch { throw new Error("webhook must be a URL"); }
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (ALERTS_WEBHOOK_ALLOW.length) {
+    if (!ALERTS_WEBHOOK_ALLOW.some(h => host === h || host.endsWith(`.${h}`))) throw new Error(`webhook host ${host} is not in ALERTS_WEBHOOK_ALLOW`);
+    if (!/^https?:$/.test(u.protocol)) throw new Error("webhook must be an http(s) URL");
+    return { url: u, allowlisted: true };
+  }
+  if (u.protocol !== "https:") throw new Error("webhook must be an https URL");
+  if (host === "localhost" || host.endsWith(".localhost") || (isIP(host) && isPrivateAddress(host))) throw new Error(`webhook host ${host} is not public`);
+  return { url: u, allowlisted: false };
+}
+
+function publicLookup(hostname, opts, cb) {
+  dnsLookup(hostname, { ...opts, all: true }, (err, addrs) => {
+    if (err) return cb(err);
+    const bad = addrs.find(a => isPrivateAddress(a.address));
+    if (bad) return cb(new Error(`webhook host ${hostname} resolves to non-public ${bad.address}`));
+    return opts.all ? cb(null, addrs) : cb(null, addrs[0].address, addrs[0].family);
+  });
+}
+const publicAgent = new HttpsAgent({ lookup: publicLookup });
+
+async function deliverWebhook(url, event) {
+  let target; try { target = assertWebhookUrl(url); } catch (e) { return `error: ${e.message}`; } // rules saved before the check
+  const body = JSON.stringify(event);
+  const headers = { "content-type": "application/json" };
+  if (ALERTS_WEBHOOK_SECRET) headers["x-alert-signature"] = createHmac("sha256", ALERTS_WEBHOOK_SECRET).update(body).digest("hex");
+  const ctrl = new AbortController(); const timer = setTimeout(() => ctrl.abort(), ALERTS_WEBHOOK_TIMEOUT_MS);
+  try {
+    // no redirects: a 3xx could point anywhere
+    const r = await fetch(target.url.href, { method: "POST", headers, body, signal: ctrl.signal, redirect: "manual", ...(target.allowlisted ? {} : { agent: publicAgent }) });
+    return r.ok ? "ok" : `http ${r.status}`;
+  } catch (e) { return `error: ${e.message}`; }
+  finally { clearTimeout(timer); }
+}
+
+async function fireAlert(rule, value, items = null) {
+  const now = Math.floor(Date.now()/1000);
+  const event = {
+    id: randomUUID(), rule_id: rule.id, label: rule.label, tool: rule.tool, target: rule.target, condition: rule.condition,
+    value, ...(items ? { items } : {}), fired_at: now, owner: rule.owner
+  };
+  rule.last_fired = now; rule.fired++;
+  for (const sink of alertSinks) { try { sink(event, rule); } catch {} }
+  if (rule.webhook) event.webhook = await deliverWebhook(rule.webhook, event);
+  alertHistory.push(event);
+  if (alertHistory.length > ALERTS_HISTORY_MAX) alertHistory = alertHistory.slice(-ALERTS_HISTORY_MAX);
+  return event;
+}
+
+async function evaluateRule(rule) {
+  const t = alertTool(rule.tool);
+  rule.last_run = Math.floor(Date.now()/1000);
+  const principal = ownerKey(rule.owner);
+  if (API_KEYS.size && !principal) { rule.last_error = `owner ${rule.owner ?? "(open mode)"} has no API key`; return null; }
+  let out;
+  try {
+    chargeQuota(principal);
+    out = await callTool(t, { ...t.schema.parse(rule.target), ...ALERT_FORCED_ARGS[rule.tool] }, { principal }); rule.last_error = null;
+  }
+  catch (e) { rule.last_error = e.message; return null; }
+  const value = pluck(out, rule.condition.path) ?? null;
+  const baseline = rule.runs === 0;
+  let event = null;
+  if (rule.condition.op === "new_items") {
+    const list = Array.isArray(value) ? value : [];
+    const seen = new Set(rule.seen);
+    const fresh = list.filter(x => !seen.has(itemKey(x)));
+    rule.seen = [...rule.seen, ...fresh.map(itemKey)].slice(-ALERT_SEEN_MAX);
+    if (fresh.length && !baseline) event = await fireAlert(rule, list.length, fresh);
+    rule.last_value = list.length;
+  } else if (rule.condition.op === "changed") {
+    if (!baseline && JSON.stringify(rule.last_value) !== JSON.stringify(value)) event = await fireAlert(rule, value);
+    rule.last_value = value;
+  } else {
+    const match = checkCondition(rule.condition, value);
+    const repeat = rule.matching && rule.repeat_s > 0 && rule.last_run - rule.last_fired >= rule.repeat_s;
+    if (match && (!rule.matching || repeat)) event = await fireAlert(rule, value);
+    rule.matching = match; rule.last_value = value;
+  }
+  rule.runs++;
+  return event;
+}
+
+// One rule at a time at background priority, and only while the pools aren't backed up
+let alertsBusy = false;
+async function alertsTick() {
+  if (alertsBusy) return;
+  alertsBusy = true;
+  try {
+    const now = Math.floor(Date.now()/1000);
+    for (const rule of alertRules.values()) {
+      if (rule.last_run != null && now - rule.last_run < Math.max(rule.interval_s, minIntervalFor(ownerKey(rule.owner)))) continue;
+      if (limiterBacklogged()) break;
+      await inBackground(() => evaluateRule(rule));
+      if (alertRules.has(rule.id)) saveAlerts();
+    }
+  } finally { alertsBusy = false; }
+}
+
+function startAlerts() {
+  loadAlerts();
+  if (ALERTS_TICK_MS > 0) setInterval(() => { alertsTick().catch(e => console.error("alerts tick failed:", e.message)); }, ALERTS_TICK_MS).unref();
+}
+
+// ====== AUTH (API keys + per-key quotas, raw passthrough allowlists)
+// MCP_API_KEYS=name:token[:calls_per_min[:calls_per_day]],...  Empty = open mode (local/dev only).
+function parseApiKeys(spec) {
+  const keys = new Map();
+  for (const item of spec.split(",").map(x => x.trim()).filter(Boolean)) {
+    const [name, token, perMin, perDay] = item.split(":");
+    if (!name || !token) throw new Error(`invalid MCP_API_KEYS entry for ${name || "?"}`);
+    keys.set(token, { name, perMin: Number(perMin || 0), perDay: Number(perDay || 0), usage: { minute: { start: 0, n: 0 }, day: { start: 0, n: 0 } } });
+  }
+  return keys;
+}
+const API_KEYS = parseApiKeys(MCP_API_KEYS);
+
+// Bearer token, x-api-key header, or ?api_key= (EventSource clients can't set headers)
+function requireAuth(req, res, next) {
+  if (!API_KEYS.size) { req.principal = null; return next(); }
+  const h = req.headers.authorization || "";
+  const token = (h.startsWith("Bearer ") ? h.slice(7) : null) || req.headers["x-api-key"] || req.query.api_key;
+  const principal = token ? API_KEYS.get(String(token)) : null;
+  if (!principal) return res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "unauthorized" });
+  req.principal = principal;
+  next();
+}
+
+// Fixed-window tool-call quota per key (0 = unlimited)
+function chargeQuota(p) {
+  if (!p) return;
+  const now = Date.now();
+  for (const [w, ms, limit] of [["minute", 60_000, p.perMin], ["day", 86_400_000, p.perDay]]) {
+    const u = p.usage[w];
+    if (now - u.start >= ms) { u.start = now; u.n = 0; }
+    if (limit && u.n >= limit) throw new Error(`quota exceeded for key ${p.name}: ${limit} calls/${w}`);
+  }
+  p.usage.minute.n++; p.usage.day.n++;
+}
+
+function rawRpc(method, params) {
+  if (!RAW_RPC_ALLOW.has(method)) throw new Error(`rpc method not allowed: ${method}`);
+  return rpc(method, params);
+}
+
+// An allowlisted path matches itself and what lies under it, not longer siblings ("/v0/transactionsX")
+const allowedPath = (path, prefix) => path === prefix || path.startsWith(prefix.endsWith("/") ? prefix : `${prefix}/`);
+
+// Only the cluster's Helius API origin and allowlisted paths; our key is added when the URL has none
+function rawHeliusGet(url) {
+  const base = clusterConf().enhanced?.base;
+  if (!base) throw new Error(`no Helius enhanced API configured for ${currentCluster()}`);
+  const u = new URL(url, base);
+  if (u.origin !== new URL(base).origin || !RAW_HELIUS_ALLOW.some(p => allowedPath(u.pathname, p))) throw new Error(`helius path not allowed: ${u.pathname}`);
+  if (!u.searchParams.has("api-key")) u.searchParams.set("api-key", HELIUS_API_KEY || "");
+  return heliusGET(u.toString());
+}
+
+// ====== MCP server + tools (one McpServer per client session)
+const TOOLS = [], RESOURCES = [];
+
+// Every tool takes an optional `cluster`: the call then runs on that cluster's endpoints, constants and caches
+function addTool(name, schema, impl, description) { TOOLS.push({ name, schema: schema.extend({ cluster: z.enum(CLUSTER_NAMES).optional() }), impl, description }); }
+function callTool(t, { cluster, ...args }, ctx) { return withCluster(cluster, () => t.impl(args, ctx)); }
+function addResource(name, template, metadata, read) { RESOURCES.push({ name, template, metadata, read }); }
+
+const jsonText = (out) => JSON.stringify(out, (_k, v) => typeof v === "bigint" ? v.toString() : v);
+
+function createServer(principal = null) {
+  const server = new McpServer({ name: "NALH-Helius-MCP", version: "1.0.0" }, { capabilities: { logging: {} } });
+  for (const t of TOOLS) {
+    server.registerTool(t.name, { description: t.description, inputSchema: t.schema }, async (args) => {
+      chargeQuota(principal);
+      const started = Date.now(); let status = "ok";
+      try {
+        const out = await callTool(t, args ?? {}, { principal });
+        return { content: [{ type: "text", text: jsonText(out) }] };
+      } catch (e) { status = "error"; throw e; }
+      finally {
+        metricInc("nalh_tool_calls_total", "Tool calls by outcome", { tool: t.name, status });
+        metricObserve("nalh_tool_duration_seconds", "Tool call latency", { tool: t.name }, (Date.now() - started) / 1000);
+      }
+    });
+  }
+  for (const r of RESOURCES) server.resource(r.name, r.template, r.metadata, r.read);
+  return server;
+}
+
+// Inline address array, or the name of a registry (registry.* tools)
+const addressList = z.union([z.array(z.string()), z.string()]);
+
+// --- RAW
+addTool("raw.rpc", z.object({ method: z.string(), params: z.array(z.any()).optional() }), ({ method, params }) => rawRpc(method, params||[]), "Raw Solana RPC passthrough (allowlisted read methods)");
+addTool("raw.helius_get", z.object({ url: z.string() }), ({ url }) => rawHeliusGet(url), "Raw Helius GET (Helius API URL or path, allowlisted paths)");
+
+// --- CORE FILTERS & QUANT METRICS (exact names kept in descriptions)
+addTool("metrics.token_supply", z.object({ mint: z.string() }), ({ mint }) => getMintSupply(mint), "Total supply / decimals / ui");
+addTool("metrics.pool_info", z.object({ pool: z.string() }), ({ pool }) => resolvePool(pool), "Pool resolver: vaults / LP mint / fee / quote side / price (Raydium AMM v4, CPMM, CLMM, Orca Whirlpool, Meteora DLMM, pump.fun)");
+addTool("metrics.price_fdv_from_reserves", z.object({ token_mint: z.string(), pool: z.string().optional(), reserve_x: z.string().optional(), reserve_y: z.string().optional() }), ({ token_mint, ...spec }) => priceAndFDVFromReserves(token_mint, spec), "Price & FDV via pool address (or legacy reserve pair); native quote + USD via SOL/USD reference");
+addTool("metrics.tvl_total_usdc", z.object({ pools: z.array(z.object({ pool: z.string().optional(), reserve_x: z.string().optional(), reserve_y: z.string().optional() })) }), ({ pools }) => tvlTotalUSDC(pools), "TVL sum across pools (USD-normalized, any registered quote)");
+addTool("metrics.lp_providers_count", z.object({ lp_mint: z.string(), excludeOwners: addressList.optional() }), ({ lp_mint, excludeOwners }) => lpProvidersCount(lp_mint, resolveList(excludeOwners||[], ["lockers", "burn", "blacklist"])), "LP providers (unique LP token holders)");
+addTool("metrics.lp_locked_percent", z.object({ lp_mint: z.string(), lockerOwners: addressList.default("lockers") }), ({ lp_mint, lockerOwners }) => lpLockedPercent(lp_mint, resolveList(lockerOwners, ["lockers", "burn"])), "LP locked % by locker/burn owners or locker programs (default: lockers registry)");
+addTool("metrics.mint_authorities", z.object({ mint: z.string() }), ({ mint }) => mintAuthorities(mint), "Mint/Freeze authorities (revoked / multisig check) + Token-2022 risky extensions; read with RPC_QUORUM endpoints agreeing");
+addTool("metrics.top_holders", z.object({ mint: z.string(), limit: z.number().int().min(1).max(100).optional(), pools: z.array(z.string()).default([]), exclude: addressList.default([]), fresh_hours: z.number().positive().optional() }),
+  ({ mint, limit, pools, exclude, fresh_hours }) => topHolders(mint, limit||20, { pools, exclude: resolveList(exclude, ["lockers", "burn", "blacklist"]), freshHours: fresh_hours ?? null }),
+  "Top holders by owner (ATAs merged) & concentration, Gini/HHI; pool vaults/burn/excluded owners listed apart; optional fresh-wallet share");
+addTool("metrics.holder_history", z.object({ mint: z.string(), since_hours: z.number().positive().default(168), windows_hours: z.array(z.number().positive()).default([1, 6, 24]), snapshot_now: z.boolean().default(false), pools: z.array(z.string()).default([]) }),
+  ({ mint, since_hours, windows_hours, snapshot_now, pools }) => holderHistory(mint, { sinceHours: since_hours, windowsHours: windows_hours, snapshotNow: snapshot_now, pools }),
+  "Holder snapshots time series (holders, top1/top10, Gini, HHI, fresh-wallet share) with growth per window and churn; watch_tokens mints are snapshotted periodically");
+addTool("metrics.activity_windows", z.object({ addresses: z.array(z.string()), windows_minutes: z.array(z.number()).default([5,15,60,240,360,720,1440,2880,4320]) }), ({ addresses, windows_minutes }) => activityWindows(addresses, windows_minutes), "TX/volume (per quote + USD)/actors across windows 5m/15m/1/4/6/12/24/48/72h");
+addTool("metrics.global_fees_paid_24h", z.object({ addresses: z.array(z.string()) }), ({ addresses }) => globalFeesPaid24h(addresses), "Global_Fees_Paid (GFP) 24h over addresses");
+addTool("metrics.deposit_vault_sum", z.object({ vault_token_accounts: z.array(z.string()) }), ({ vault_token_accounts }) => depositVaultSum(vault_token_accounts), "Deposit_Vault sum over vault token accounts");
+addTool("metrics.traders_trades_volume_24h", z.object({ addresses: z.array(z.string()), mint: z.string().optional() }), ({ addresses, mint }) => tradersTradesVolume24h(addresses, mint ?? null), "No_Traders_24H / Total_Trades_24H / Total_Volume_24H from decoded swaps (per quote + USD)");
+addTool("metrics.trades", z.object({ addresses: z.array(z.string()), mint: z.string().optional(), window_minutes: z.number().int().min(1).default(1440), limit: z.number().int().min(1).max(1000).default(200) }), ({ addresses, mint, window_minutes, limit }) => listTrades(addresses, mint ?? null, window_minutes, limit), "Decoded swaps: trader / side / token & quote amounts / price");
+addTool("metrics.trade_flow", z.object({ addresses: z.array(z.string()), mint: z.string().optional(), window_minutes: z.number().int().min(1).default(1440) }), ({ addresses, mint, window_minutes }) => tradeFlow(addresses, mint ?? null, window_minutes), "Buy/sell counts, unique buyers/sellers, net flow (tokens + USD)");
+addTool("metrics.wallet_pnl", z.object({ addresses: z.array(z.string()), mint: z.string(), window_minutes: z.number().int().min(1).default(1440), wallets: z.array(z.string()).optional(), pool: z.string().optional() }), ({ addresses, mint, window_minutes, wallets, pool }) => walletPnl(addresses, mint, window_minutes, { wallets: wallets ?? null, pool: pool ?? null }), "Per-wallet realized/unrealized PnL (average cost) over a window");
+addTool("metrics.fdv_to_mcap", z.object({ price_usd: z.number(), total_supply: z.number(), circulating_supply: z.number().nullable().optional() }), ({ price_usd, total_supply, circulating_supply }) => fdvToMcap(price_usd, total_supply, circulating_supply ?? null), "FDV_to_MCap ratio");
+
+// --- ADVANCED & CUSTOM (VIP, dev/team, whales, revival, blacklist)
+addTool("filters.vip_wallets_presence", z.object({ vip_addresses: addressList, addresses_to_scan: z.array(z.string()) }), ({ vip_addresses, addresses_to_scan }) => vipWalletsPresence(resolveList(vip_addresses, "vip"), addresses_to_scan), "VIP/Smart Wallet presence");
+addTool("filters.dev_behavior", z.object({ dev_addresses: z.array(z.string()), addresses_to_scan: z.array(z.string()) }), ({ dev_addresses, addresses_to_scan }) => devBehavior(dev_addresses, addresses_to_scan), "Dev/Team behavior (LP or large moves)");
+addTool("filters.dev_link_success", z.object({ dev_address: z.string(), known_creators: addressList }), ({ dev_address, known_creators }) => devLinkToSuccess(dev_address, resolveList(known_creators, "creators")), "Link Dev/Team to known successful creators");
+addTool("creator.profile", z.object({ mint: z.string(), funder_depth: z.number().int().min(0).max(2).default(1), max_funders: z.number().int().min(1).max(10).default(3), max_mints: z.number().int().min(1).max(50).default(CREATOR_MAX_MINTS), history_pages: z.number().int().min(1).max(20).default(CREATOR_HISTORY_PAGES), min_sol: z.number().min(0).default(0.1), ignore_funders: addressList.default([]) }),
+  ({ mint, funder_depth, max_funders, max_mints, history_pages, min_sol, ignore_funders }) => creatorProfile(mint, { funderDepth: funder_depth, maxFunders: max_funders, maxMints: max_mints, historyPages: history_pages, minSol: min_sol, ignore: resolveList(ignore_funders, "blacklist") }),
+  "Creator profile: deployer + upstream SOL funders, their earlier mints with outcomes (LP pulled, drop from peak, lifetime) and a 0-100 reputation score (score_inputs feed score.compute)");
 addTool("filters.revival_detector", z.object({ pool_addresses: z.array(z.string()) }), ({ pool_addresses }) => revivalDetector(pool_addresses), "Revival/Zombie detection by surge multiplier");
-addTool("filters.first_wave_buyers", z.object({ pool_address: z.string(), minutes: z.number().int().min(1).max(60).default(10), vip_list: z.array(z.string()).optional() }), ({ pool_address, minutes, vip_list }) => firstWaveBuyers(pool_address, minutes, vip_list||[]), "First wave buyers count & VIP flag");
-addTool("filters.blacklist_check", z.object({ address: z.string(), blacklist: z.array(z.string()).default([]) }), ({ address, blacklist }) => blacklistCheck(address, blacklist), "Blacklist/Ignore check");
+addTool("filters.first_wave_buyers", z.object({ pool_address: z.string(), minutes: z.number().int().min(1).max(60).default(10), vip_list: addressList.optional(), mint: z.string().optional() }), ({ pool_address, minutes, vip_list, mint }) => firstWaveBuyers(pool_address, minutes, resolveList(vip_list||[], "vip"), mint ?? null), "First wave buyers (decoded buys) count & VIP flag");
+addTool("filters.bundle_detector", z.object({ address: z.string(), mint: z.string().optional(), limit: z.number().int().min(10).max(1000).default(100), funding_pages: z.number().int().min(1).max(10).default(FUNDING_MAX_PAGES), min_sol: z.number().min(0).default(0.01), ignore_funders: addressList.default([]) }),
+  ({ address, mint, limit, funding_pages, min_sol, ignore_funders }) => bundleDetector(address, { mint: mint ?? null, limit, fundingPages: funding_pages, minSol: min_sol, ignore: resolveList(ignore_funders, "blacklist") }),
+  "Launch bundle/sniper check over the earliest txs of a mint or pool: same-slot (Jito) buyers + shared SOL funders → linked clusters, % of supply, graph and evidence sigs");
+addTool("filters.funding_clusters", z.object({ wallets: addressList, funding_pages: z.number().int().min(1).max(10).default(FUNDING_MAX_PAGES), min_sol: z.number().min(0).default(0.01), ignore_funders: addressList.default([]) }),
+  ({ wallets, funding_pages, min_sol, ignore_funders }) => fundingClusters(resolveList(wallets, ["vip", "creators", "blacklist"]), { maxPages: funding_pages, minSol: min_sol, ignore: resolveList(ignore_funders, "blacklist") }),
+  "Cluster wallets by common SOL funding sources (nativeTransfers), with funding edges and evidence sigs");
+addTool("filters.blacklist_check", z.object({ address: z.string(), blacklist: addressList.default([]) }), ({ address, blacklist }) => blacklistCheck(address, resolveList(blacklist, "blacklist")), "Blacklist/Ignore check");
+
+// --- REGISTRIES
+addTool("registry.list", z.object({}), () => registryList(), "List named registries (vip/blacklist/creators/lockers/burn/watch_tokens)");
+addTool("registry.get", z.object({ name: z.string() }), ({ name }) => registryGet(name), "Registry entries");
+addTool("registry.create", z.object({ name: z.string().regex(/^[\w.-]+$/), kind: z.enum(REGISTRY_KINDS), description: z.string().optional() }), ({ name, kind, description }) => registryCreate(name, kind, description || ""), "Create a registry");
+addTool("registry.delete", z.object({ name: z.string() }), ({ name }) => registryDelete(name), "Delete a registry");
+addTool("registry.add", z.object({ name: z.string(), entries: z.array(z.object({ address: z.string(), label: z.string().optional() })) }), ({ name, entries }) => registryAdd(name, entries), "Add/update registry entries");
+addTool("registry.remove", z.object({ name: z.string(), addresses: z.array(z.string()) }), ({ name, addresses }) => registryRemove(name, addresses), "Remove registry entries");
+addTool("registry.import", z.object({ name: z.string().regex(/^[\w.-]+$/), format: z.enum(["json", "csv"]), data: z.string(), kind: z.enum(REGISTRY_KINDS).optional(), mode: z.enum(["merge", "replace"]).default("merge") }), ({ name, format, data, kind, mode }) => registryImport(name, format, data, { kind: kind ?? null, mode }), "Import registry entries from JSON or CSV (all-or-nothing: any invalid address rejects the import)");
+addTool("registry.export", z.object({ name: z.string(), format: z.enum(["json", "csv"]).default("json") }), ({ name, format }) => registryExport(name, format), "Export a registry as JSON or CSV");
+
+addResource("registries", new ResourceTemplate("registry://{name}", {
+  list: async () => ({ resources: [...registries.keys()].map(name => ({ uri: `registry://${name}`, name: `registry ${name}`, mimeType: "application/json" })) })
+}), { description: "Named address registries (VIP, blacklist, creators, lockers, burn, watched tokens)" }, async (uri, { name }) => ({
+  contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(registryGet(name), null, 2) }]
+}));
+
+// --- CACHE
+addTool("cache.stats", z.object({}), () => cacheStats(), "Local cache stats (entries, hits/misses, size, TTLs)");
+addTool("cache.purge", z.object({ scope: z.enum(["expired", "all", "tx", "rpc", "history"]).default("expired"), address: z.string().optional() }), ({ scope, address }) => cachePurge(scope, address ?? null), "Purge cache (expired snapshots, a namespace, all, or one address history index)");
 
 // --- SCORING
 addTool("score.compute", z.object({
@@ -429,38 +2867,235 @@ addTool("score.compute", z.object({
     lpProviders: z.number(), lpProvidersMin: z.number(), lpLockedPct: z.number(), lpLockedMinPct: z.number(),
     concentrationTop1Pct: z.number(), maxTop1Pct: z.number(), concentrationTop10Pct: z.number(), maxTop10Pct: z.number(),
     activity24h: z.object({ traders: z.number().default(0) }).default({ traders:0 }), minTraders24h: z.number().default(0),
-    vipHits: z.number().default(0), revivalActive: z.boolean().default(false), tokenAgeDays: z.number().default(0.0),
+    vipHits: z.number().default(0), vipListSize: z.number().int().min(0).optional(), revivalActive: z.boolean().default(false), tokenAgeDays: z.number().default(0.0),
     fdvToMc: z.number().nullable().optional(), maxAgeDays: z.number().default(0.25),
-    weights: z.object({ lpCount: z.number().default(2), lpLocked: z.number().default(2), holdersDist: z.number().default(2), activity: z.number().default(1), vip: z.number().default(1), revival: z.number().default(1), age: z.number().default(1), fdvToMc: z.number().default(1) }).optional()
+    creatorScore: z.number().min(0).max(100).optional(), minCreatorScore: z.number().default(50),
+    weights: z.object({ lpCount: z.number().default(2), lpLocked: z.number().default(2), holdersDist: z.number().default(2), activity: z.number().default(1), vip: z.number().default(1), revival: z.number().default(1), age: z.number().default(1), fdvToMc: z.number().default(1), creator: z.number().default(1) }).optional()
   })
 }), ({ inputs }) => scoreToken(inputs), "Dynamic scoring per NALH spec (weights adjustable)");
 
-// --- ADVANCED FUTURE (stubs)
-addTool("advanced.ml_suggest_wallets", z.object({}).optional().default({}), () => mlSuggestWallets(), "ML on successful hunts (future)");
-addTool("advanced.discover_profit_wallets", z.object({}).optional().default({}), () => discoverNewProfitWallets(), "Auto discovery of profitable wallets (future)");
-addTool("advanced.tokenomics_analyze", z.object({ options: z.record(z.any()).optional() }), ({ options }) => analyzeTokenomics(options||{}), "Advanced tokenomics (deflation/mintable/tax change)");
-
-// --- MCP (SSE) bootstrap — SDK 0.2.x
-// مهم: هیچ body-parser روی /sse یا /messages ست نکن؛ خود ترنسپورت روت‌ها را رجیستر می‌کند
-const transport = new SSEServerTransport("/sse", app);
-await server.connect(transport);
-
-// Health
-app.get("/health", (_req, res) =>
-  res.json({ ok: true, rpc: !!HELIUS_RPC_URL, api: !!HELIUS_API_KEY })
-);
-
-// Fly.io-friendly HTTP startup: bind on 0.0.0.0 and respect PORT
-const HOST = process.env.HOST || "0.0.0.0";
-const httpServer = app.listen(PORT, HOST, () =>
-  console.log(`HTTP up on ${HOST}:${PORT}`)
-);
-
-// Graceful shutdown for Fly (rolling deploy/scale)
-for (const sig of ["SIGINT", "SIGTERM"]) {
-  process.on(sig, () => {
-    console.log(`Received ${sig}, closing...`);
-    httpServer.close(() => process.exit(0));
-    setTimeout(() => process.exit(0), 10_000).unref();
+const screenThresholds = z.object({ lpProvidersMin: z.number(), lpLockedMinPct: z.number(), maxTop1Pct: z.number(), maxTop10Pct: z.number(), minTraders24h: z.number(), maxAgeDays: z.number(), minCreatorScore: z.number() }).partial();
+const screenWeights = z.object({ lpCount: z.number(), lpLocked: z.number(), holdersDist: z.number(), activity: z.number(), vip: z.number(), revival: z.number(), age: z.number(), fdvToMc: z.number(), creator: z.number() }).partial();
+const screenOverrides = z.object({ thresholds: screenThresholds.optional(), weights: screenWeights.optional(), lockers: addressList.optional(), vip: addressList.optional() });
+addTool("screen.token", z.object({ mint: z.string(), pool: z.string().optional(), profile: z.string().default("default"), overrides: screenOverrides.optional(), creator: z.boolean().default(false), record: z.boolean().default(BACKTEST_RECORD) }),
+  ({ mint, pool, profile, overrides, creator, record }) => screenToken(mint, { pool: pool ?? null, profile, overrides: overrides || {}, creator, record }),
+  "One-call screen: holders, LP providers/locked, 24h traders, VIP, revival, age and authorities run together and scored under a named profile; pooled screens are recorded for score.backtest");
+addTool("screen.profiles", z.object({}), () => profileList(), "List screening profiles (thresholds, weights, locker/VIP lists)");
+addTool("screen.profile_set", screenOverrides.extend({ name: z.string().regex(/^[\w.-]+$/), description: z.string().optional() }), ({ name, ...patch }) => profileSet(name, patch), "Create or update a screening profile (unset fields inherit from default)");
+addTool("screen.profile_delete", z.object({ name: z.string() }), ({ name }) => profileDelete(name), "Delete a screening profile");
+addTool("score.backtest", z.object({
+  profile: z.string().default("default"), overrides: screenOverrides.pick({ thresholds: true, weights: true }).optional(),
+  horizon: z.enum(Object.keys(OUTCOME_HORIZONS)).default("h24"), min_multiple: z.number().positive().default(2), pass_pct: z.number().min(0).max(100).default(60),
+  since_days: z.number().positive().optional(), optimize: z.boolean().default(false)
+}), ({ profile, overrides, horizon, min_multiple, pass_pct, since_days, optimize }) => runBacktest({ profile, overrides: overrides || {}, horizon, minMultiple: min_multiple, passPct: pass_pct, sinceDays: since_days ?? null, optimize }),
+  "Replay recorded screens under a profile (+ threshold/weight overrides): precision/recall at pass_pct, ROC/AUC, per-rule lift and AUC drop; optimize=true suggests weights (time-ordered holdout)");
+addTool("score.dataset", z.object({ mint: z.string().optional(), limit: z.number().int().min(1).max(500).default(20) }), ({ mint, limit }) => datasetSummary({ mint: mint ?? null, limit }), "Backtest dataset: recorded screens with input vectors and +1h/+24h outcomes, newest first");
+
+// --- EVENT LOG (Helius webhook ingestion)
+const trackEntry = z.object({ address: z.string(), kind: z.enum(TRACK_KINDS).default("address"), label: z.string().optional() });
+addTool("events.track", z.object({ entries: z.array(trackEntry).min(1), sync_webhook: z.boolean().default(true) }), ({ entries, sync_webhook }) => trackAddresses(entries, sync_webhook), "Track addresses/mints/programs: webhook txs touching them are logged and history tools read the log once it covers the window");
+addTool("events.untrack", z.object({ addresses: z.array(z.string()).min(1), sync_webhook: z.boolean().default(true) }), ({ addresses, sync_webhook }) => untrackAddresses(addresses, sync_webhook), "Stop tracking addresses");
+addTool("events.tracked", z.object({}), () => trackedList(), "Tracked addresses with coverage start, plus ingestion stats");
+addTool("events.query", z.object({ address: z.string(), since_minutes: z.number().positive().optional(), limit: z.number().int().min(1).max(1000).default(100) }), ({ address, since_minutes, limit }) => queryEvents(address, { sinceMinutes: since_minutes ?? null, limit }), "Logged webhook txs touching an address or mint, newest first");
+
+// --- ALERTS
+addTool("alerts.create", z.object({
+  tool: z.string(), target: z.record(z.any()),
+  condition: z.object({ path: z.string(), op: z.enum(ALERT_OPS), value: z.any().optional() }).optional(),
+  interval_s: z.number().int().positive().default(300), repeat_s: z.number().int().min(0).default(0),
+  webhook: z.string().url().optional(), label: z.string().optional()
+}), (args, { principal }) => alertsCreate(args, principal), "Watch rule: run a metrics./filters. tool on `target` every interval and notify (MCP log, /alerts/stream, webhook) when the condition fires");
+addTool("alerts.list", z.object({}), (_args, { principal }) => alertsList(principal?.name ?? null), "List alert rules with their last evaluation state");
+addTool("alerts.delete", z.object({ id: z.string() }), ({ id }, { principal }) => alertsDelete(id, principal?.name ?? null), "Delete an alert rule");
+addTool("alerts.history", z.object({ id: z.string().optional(), limit: z.number().int().min(1).max(1000).default(50) }), ({ id, limit }, { principal }) => alertsHistory({ id, limit }, principal?.name ?? null), "Fired alerts, newest first");
+
+// --- ADVANCED
+addTool("advanced.ml_suggest_wallets", z.object({
+  horizon: z.enum(Object.keys(OUTCOME_HORIZONS)).default("h24"), min_multiple: z.number().positive().default(2), max_tokens: z.number().int().min(1).max(100).default(20),
+  early_minutes: z.number().positive().default(30), min_hits: z.number().int().min(1).default(2), limit: z.number().int().min(1).max(500).default(50)
+}), ({ horizon, min_multiple, max_tokens, early_minutes, min_hits, limit }) => mlSuggestWallets({ horizon, minMultiple: min_multiple, maxTokens: max_tokens, earlyMinutes: early_minutes, minHits: min_hits, limit }),
+  "Wallets that bought the backtest dataset's winners early and exited in profit (smart-money discovery over recorded successful hunts)");
+addTool("advanced.discover_profit_wallets", z.object({
+  tokens: z.array(z.object({ mint: z.string(), pools: z.array(z.string()).default([]), lookback_hours: z.number().positive().optional(), txs: z.array(z.any()).optional() })).min(1),
+  early_minutes: z.number().positive().default(30), min_hits: z.number().int().min(1).default(2), min_exit_ratio: z.number().min(0).max(1).default(0.5),
+  limit: z.number().int().min(1).max(500).default(50), offline: z.boolean().default(false), max_txs: z.number().int().min(100).max(20000).default(HISTORY_MAX_TXS),
+  sol_usd: z.number().positive().optional()
+}), ({ tokens, early_minutes, min_hits, min_exit_ratio, limit, offline, max_txs, sol_usd }) => discoverNewProfitWallets(tokens, { earlyMinutes: early_minutes, minHits: min_hits, minExitRatio: min_exit_ratio, limit, offline, maxTxs: max_txs, solUsd: sol_usd ?? null }), "Smart-money discovery: early profitable exits across winning tokens → ranked VIP candidates with evidence");
+addTool("advanced.tokenomics_analyze", z.object({ mint: z.string(), options: z.object({ max_fee_bps: z.number().int().min(0).max(10000).optional(), history_limit: z.number().int().min(1).max(2000).optional() }).optional() }), ({ mint, options }) => analyzeTokenomics(mint, options||{}), "Advanced tokenomics: Token-2022 extensions (tax/delegate/hook/frozen), mintability, supply & fee changes");
+
+// ====== MCP transports
+const sessions = new Map(); // sessionId -> { transport, server, kind, principal, last_seen }
+
+function trackSession(id, transport, server, kind, principal) {
+  sessions.set(id, { transport, server, kind, principal: principal?.name ?? null, last_seen: Date.now() });
+}
+
+async function closeSession(id) {
+  const s = sessions.get(id); if (!s) return;
+  sessions.delete(id);
+  await s.server.close().catch(() => {});
+}
+
+// A session only serves the key that opened it
+function sessionFor(req, res, id, kind) {
+  const s = sessions.get(String(id || ""));
+  if (!s || s.kind !== kind) { res.status(404).json({ jsonrpc: "2.0", error: { code: -32001, message: "Session not found" }, id: null }); return null; }
+  if (s.principal !== (req.principal?.name ?? null)) { res.status(403).json({ jsonrpc: "2.0", error: { code: -32003, message: "Session belongs to another key" }, id: null }); return null; }
+  s.last_seen = Date.now();
+  return s;
+}
+
+// Alerts reach every live session of the rule's owner as an MCP logging notification
+alertSinks.push((event, rule) => {
+  for (const s of sessions.values()) if (s.principal === rule.owner) s.server.sendLoggingMessage({ level: "warning", logger: "alerts", data: event }).catch(() => {});
+});
+startAlerts();
+startHolderSnapshots();
+startBacktest();
+if (eventDb) {
+  const prune = () => { pruneEvents().catch(e => console.error("event prune failed:", e.message)); };
+  prune(); // events that expired while the server was down
+  setInterval(prune, 3_600_000).unref();
+}
+
+if (MCP_TRANSPORT === "stdio") {
+  // stdout belongs to the protocol: log to stderr only
+  const server = createServer(null), transport = new StdioServerTransport();
+  trackSession("stdio", transport, server, "stdio", null);
+  await server.connect(transport);
+  console.error("MCP stdio up");
+} else {
+  const app = express();
+
+  // Streamable HTTP: POST initialize opens a session (mcp-session-id header), GET streams, DELETE closes
+  app.all("/mcp", requireAuth, express.json({ limit: "4mb" }), async (req, res) => {
+    const id = req.headers["mcp-session-id"];
+    if (id) {
+      const s = sessionFor(req, res, id, "streamable"); if (!s) return;
+      return s.transport.handleRequest(req, res, req.body);
+    }
+    if (req.method !== "POST" || !isInitializeRequest(req.body)) {
+      return res.status(400).json({ jsonrpc: "2.0", error: { code: -32000, message: "Bad Request: no valid session" }, id: null });
+    }
+    const server = createServer(req.principal);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sid) => trackSession(sid, transport, server, "streamable", req.principal)
+    });
+    transport.onclose = () => { if (transport.sessionId) closeSession(transport.sessionId); };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // Legacy SSE: GET /sse opens a session, POST /messages?sessionId=... feeds it
+  // مهم: هیچ body-parser روی /sse یا /messages ست نکن؛ ترنسپورت خودش body را می‌خواند
+  app.get("/sse", requireAuth, async (req, res) => {
+    const transport = new SSEServerTransport("/messages", res);
+    const server = createServer(req.principal);
+    trackSession(transport.sessionId, transport, server, "sse", req.principal);
+    res.on("close", () => closeSession(transport.sessionId));
+    await server.connect(transport);
+  });
+
+  app.post("/messages", requireAuth, async (req, res) => {
+    const s = sessionFor(req, res, req.query.sessionId, "sse"); if (!s) return;
+    await s.transport.handlePostMessage(req, res);
   });
+
+  // Helius enhanced-transaction webhook: the configured authHeader must equal HELIUS_WEBHOOK_SECRET
+  app.post("/webhooks/helius", express.json({ limit: "20mb" }), async (req, res) => {
+    if (!eventDb) return res.status(404).json({ error: "webhook ingestion disabled" });
+    const got = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer /, ""));
+    const want = Buffer.from(HELIUS_WEBHOOK_SECRET);
+    if (got.length !== want.length || !timingSafeEqual(got, want)) return res.status(401).json({ error: "bad webhook secret" });
+    try { res.json(await ingestEvents(req.body)); }
+    catch (e) { res.status(500).json({ error: e.message }); }
+  });
+
+  // Local alert feed (text/event-stream), filtered to the caller's key
+  const alertFeeds = new Set();
+  alertSinks.push((event, rule) => {
+    for (const f of alertFeeds) if (f.owner === rule.owner) f.res.write(`event: alert\ndata: ${jsonText(event)}\n\n`);
+  });
+  app.get("/alerts/stream", requireAuth, (req, res) => {
+    res.set({ "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" }).flushHeaders();
+    const feed = { res, owner: req.principal?.name ?? null };
+    const ping = setInterval(() => res.write(": ping\n\n"), 25_000);
+    alertFeeds.add(feed);
+    res.on("close", () => { clearInterval(ping); alertFeeds.delete(feed); });
+  });
+
+  // Streamable sessions have no socket to watch: drop idle ones
+  setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, s] of sessions) if (s.kind === "streamable" && s.last_seen < cutoff) closeSession(id);
+  }, 60_000).unref();
+
+  // Upstream reachability, probed in the background at top priority (health checks must answer fast).
+  // Every RPC endpoint of the server's cluster is probed, so a dead backup is ranked down before traffic needs it.
+  const upstreamHealth = { checked_at: null, cluster: SOLANA_CLUSTER, rpc: {}, enhanced: null };
+  async function probe(pool, url, init, check = () => true, ep = null) {
+    const started = Date.now(); const ctrl = new AbortController(); const timer = setTimeout(() => ctrl.abort(), 5000);
+    try {
+      const r = await POOLS[pool].limiter.schedule({ priority: 0 }, () => fetch(url, { ...init, signal: ctrl.signal }));
+      const ok = r.status < 500 && r.status !== 401 && r.status !== 403 && await check(r);
+      if (ep) noteEndpoint(ep, ok, Date.now() - started, ok ? null : `probe http ${r.status}`);
+      return { ok, status: r.status, latency_ms: Date.now() - started };
+    } catch (e) {
+      const error = ctrl.signal.aborted ? "timeout" : e.message; if (ep) noteEndpoint(ep, false, null, `probe ${error}`);
+      return { ok: false, error: redactKeys(error), latency_ms: Date.now() - started };
+    }
+    finally { clearTimeout(timer); }
+  }
+  async function probeUpstreams() {
+    const post = (body) => ({ method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+    const { endpoints, enhanced: enh } = CLUSTERS[SOLANA_CLUSTER];
+    const [rpcProbes, enhanced] = await Promise.all([
+      Promise.all(endpoints.map(ep => probe("rpc", ep.url, post({ jsonrpc: "2.0", id: 1, method: "getHealth" }), async r => (await r.json().catch(() => ({}))).result === "ok", ep))),
+      enh ? probe("enhanced", enh.parse_tx, post({ transactions: [] })) : null // any non-auth 4xx still proves reachability
+    ]);
+    Object.assign(upstreamHealth, { checked_at: Math.floor(Date.now()/1000), rpc: Object.fromEntries(endpoints.map((ep, i) => [ep.name, rpcProbes[i]])), enhanced });
+  }
+  probeUpstreams();
+  setInterval(() => { probeUpstreams(); }, HEALTH_PROBE_MS).unref();
+
+  // Health: ok while any RPC endpoint answers
+  app.get("/health", (_req, res) =>
+    res.json({
+      ok: Object.values(upstreamHealth.rpc).some(p => p?.ok), upstream: upstreamHealth, endpoints: endpointStats(), pools: poolStats(),
+      auth: API_KEYS.size ? "api_key" : "open", sessions: sessions.size, alert_rules: alertRules.size, events: eventDb ? eventStats : null
+    })
+  );
+
+  // Prometheus scrape endpoint (same auth as the MCP routes)
+  app.get("/metrics", requireAuth, (_req, res) => {
+    const pools = Object.entries(poolStats());
+    res.type("text/plain; version=0.0.4").send(renderMetrics({
+      nalh_limiter_queued: ["Upstream calls waiting in the pool's limiter", pools.map(([pool, p]) => [{ pool }, p.queued])],
+      nalh_limiter_running: ["Upstream calls in flight", pools.map(([pool, p]) => [{ pool }, p.running])],
+      nalh_breaker_open: ["1 while the pool's circuit breaker is open (rpc: every endpoint's)", pools.map(([pool, p]) => [{ pool }, p.breaker === "open" ? 1 : 0])],
+      nalh_endpoint_breaker_open: ["1 while the RPC endpoint's circuit breaker is open", Object.entries(endpointStats()).flatMap(([cluster, c]) => c.rpc.map(ep => [{ cluster, endpoint: ep.name }, ep.breaker === "open" ? 1 : 0]))],
+      nalh_upstream_up: ["Last background probe result", [...Object.entries(upstreamHealth.rpc).map(([endpoint, p]) => [{ target: "rpc", endpoint }, p?.ok ? 1 : 0]), ...(upstreamHealth.enhanced ? [[{ target: "enhanced" }, upstreamHealth.enhanced.ok ? 1 : 0]] : [])]],
+      nalh_endpoint_score: ["RPC endpoint health score (0 = breaker open)", Object.entries(endpointStats()).flatMap(([cluster, c]) => c.rpc.map(ep => [{ cluster, endpoint: ep.name }, ep.score]))],
+      nalh_sessions: ["Open MCP sessions", [[{}, sessions.size]]],
+      nalh_alert_rules: ["Alert rules", [[{}, alertRules.size]]]
+    }));
+  });
+
+  // Fly.io-friendly HTTP startup: bind on 0.0.0.0 and respect PORT
+  const HOST = process.env.HOST || "0.0.0.0";
+  const httpServer = app.listen(PORT, HOST, () =>
+    console.log(`HTTP up on ${HOST}:${PORT} (auth: ${API_KEYS.size ? `${API_KEYS.size} api keys` : "open"})`)
+  );
+
+  // Graceful shutdown for Fly (rolling deploy/scale)
+  for (const sig of ["SIGINT", "SIGTERM"]) {
+    process.on(sig, () => {
+      console.log(`Received ${sig}, closing...`);
+      for (const id of [...sessions.keys()]) closeSession(id);
+      for (const f of alertFeeds) f.res.end();
+      httpServer.close(() => process.exit(0));
+      setTimeout(() => process.exit(0), 10_000).unref();
+    });
+  }
 }
@@ -0,0 +1,63 @@
+// Smart-money discovery replayed offline from fixture launches: three tokens' early trades (one SOL-quoted through
+// events.swap, two USDC-quoted through balance changes) go through advanced.discover_profit_wallets with sol_usd
+// pinned and every upstream dead, so the ranking can only come from the fixture.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startServer } from "./server.js";
+
+const H1 = "8zsX9KB11MPvSu7VggvU6raoefuiNA5CpNPXFx7giETc"; // early on A and B, profitable exits on both
+const H2 = "AawEsi3kinosjRDjzAxHTvFV9zeewwLppXkukHsrDNkX"; // early on A, B and C, exits C at a loss
+const LATE = "GBNwhDr7d1S3VyLaihMYtz9Ucm94rNnXP8AXtoZFAA4i"; // profitable on A, but 45 min after the first trade
+const SEED = "36TgU6K7saQ8RoCBqoyfkS9MbsZGai3sksygb2eDCVac"; // B's first buyer, never sells
+const [MINT_A, MINT_B, MINT_C] = ["GQ1XdBnJURK2w8fs1jxiTdQATgKSTy3rnx4PfMttvKMs", "7CD4aXXHH8wRoggACBuF8Wpdvs3sfngFbcuvufbxYLHM", "HewBhp4TUgKZ5pjYcejYEsYiiBAC4438yfk92HHcngrG"];
+const tokens = JSON.parse(readFileSync(new URL("./fixtures/discovery-launches.json", import.meta.url), "utf8"));
+// A wallet's [entry, exit] signatures on a fixture token: each wallet buys once and sells once
+const entryExit = (mint, wallet) => tokens.find(t => t.mint === mint).txs.filter(t => t.feePayer === wallet).sort((a, b) => a.timestamp - b.timestamp).map(t => t.signature);
+
+const dir = mkdtempSync(join(tmpdir(), "nalh-discovery-"));
+let srv;
+before(async () => { srv = await startServer(dir); });
+after(async () => {
+  await srv?.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const discover = (args = {}) => srv.call("advanced.discover_profit_wallets", { tokens, offline: true, sol_usd: 150, ...args });
+
+test("ranks early profitable exiters by hits, then hit rate", async () => {
+  const out = await discover();
+  assert.deepEqual(out.vip_addresses, [H1, H2]);
+  assert.deepEqual(out.tokens.map(t => [t.mint, t.trades, t.skipped]), [[MINT_A, 6, null], [MINT_B, 5, null], [MINT_C, 2, null]]);
+  const [h1, h2] = out.candidates;
+  assert.deepEqual([h1.hits, h1.early_entries, h1.hit_rate], [2, 2, 1]);
+  assert.deepEqual([h2.hits, h2.early_entries, h2.hit_rate], [2, 3, 2 / 3]);
+  // A at 150 USD/SOL: 1 SOL in, 3 out; B: 100 USDC in, 250 out
+  assert.equal(h1.realized_pnl_usd, 300 + 150);
+  assert.equal(h1.median_entry_delay_min, 1); // first buyer on A, 2 min after SEED on B
+  assert.ok(!out.candidates.some(c => c.wallet === LATE || c.wallet === SEED));
+});
+
+test("evidence cites the entry and exit signatures of each hit", async () => {
+  const { candidates: [h1, h2] } = await discover();
+  assert.deepEqual(h1.evidence.map(e => [e.mint, e.entry_sig, e.exit_sig]), [
+    [MINT_A, ...entryExit(MINT_A, H1)],
+    [MINT_B, ...entryExit(MINT_B, H1)]
+  ]);
+  assert.deepEqual(h2.evidence.map(e => e.mint), [MINT_A, MINT_B]); // the losing exit on C is not a hit
+});
+
+test("is reproducible: the same fixture and sol_usd give the same result", async () => {
+  assert.deepEqual(await discover(), await discover());
+});
+
+test("the window and thresholds move wallets in and out", async () => {
+  assert.deepEqual((await discover({ early_minutes: 60, min_hits: 1 })).vip_addresses, [H1, H2, LATE]);
+  assert.deepEqual((await discover({ min_hits: 3 })).vip_addresses, []);
+});
+
+test("offline SOL-quoted trades need a pinned sol_usd", async () => {
+  await assert.rejects(srv.call("advanced.discover_profit_wallets", { tokens, offline: true }), /sol_usd is required/);
+});
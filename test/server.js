@@ -0,0 +1,59 @@
+// Spawns index.js over HTTP with every upstream URL pointing at a closed local port and all state under `dir`,
+// so tests run without network and a read that would go upstream fails instead of fetching.
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { join } from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+
+export const DEAD_UPSTREAM = "http://127.0.0.1:1";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = createServer().listen(0, "127.0.0.1", () => { const { port } = s.address(); s.close(() => resolve(port)); }).on("error", reject);
+  });
+}
+
+// -> { base, call(name, args), stop() }; `env` is layered over the offline defaults
+export async function startServer(dir, env = {}) {
+  const port = await freePort(), dead = DEAD_UPSTREAM;
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: new URL("..", import.meta.url), stdio: ["ignore", "pipe", "pipe"],
+    env: {
+      ...process.env, PORT: String(port), HOST: "127.0.0.1", MCP_TRANSPORT: "http", MCP_API_KEYS: "",
+      HELIUS_WEBHOOK_SECRET: "", HELIUS_WEBHOOK_ID: "", EVENTS_PATH: join(dir, "events.mdb"),
+      HELIUS_API_KEY: "test", HELIUS_RPC_URL: dead, HELIUS_API_BASE: dead, RPC_ENDPOINTS: dead,
+      HELIUS_PARSE_TX_URL: `${dead}/v0/transactions`, HELIUS_PARSE_ADDR_URL: `${dead}/v0/addresses/{address}/transactions`,
+      RPC_MAX_RETRIES: "0", HELIUS_MAX_RETRIES: "0", CACHE_ENABLED: "0",
+      REGISTRY_PATH: join(dir, "registries.json"), PROFILES_PATH: join(dir, "profiles.json"), ALERTS_PATH: join(dir, "alerts.json"),
+      CACHE_PATH: join(dir, "cache.mdb"), HOLDERS_PATH: join(dir, "holders.mdb"), BACKTEST_PATH: join(dir, "backtest.mdb"),
+      ALERTS_TICK_MS: "0", HOLDER_SNAPSHOT_INTERVAL_S: "0", BACKTEST_TICK_S: "0",
+      ...env
+    }
+  });
+  let log = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 15000);
+    child.stdout.on("data", d => { log += d; if (/HTTP up/.test(log)) { clearTimeout(timer); resolve(); } });
+    child.stderr.on("data", d => { log += d; });
+    child.on("exit", code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+  const base = `http://127.0.0.1:${port}`;
+  const client = new Client({ name: "nalh-test", version: "1.0.0" });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`)));
+  return {
+    base,
+    // tool result as JSON; tool errors throw with the server's message
+    call: async (name, args) => {
+      const r = await client.callTool({ name, arguments: args });
+      if (r.isError) throw new Error(r.content?.[0]?.text);
+      return JSON.parse(r.content[0].text);
+    },
+    stop: async () => {
+      await client.close().catch(() => {});
+      const exited = new Promise(resolve => child.once("exit", resolve));
+      child.kill("SIGTERM");
+      await exited;
+    }
+  };
+}